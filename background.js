@@ -1,30 +1,65 @@
 /**
  * Background service worker for 15 Minute Time Tracker
- * Handles 15-minute timer and interrupt logic
+ * Handles interval timer and interrupt logic
  * 
  * Architecture:
- * - Uses Chrome alarms API for reliable 15-minute intervals
+ * - Uses Chrome alarms API for reliable intervals (configurable in settings, 15 minutes by default)
  * - Creates notifications to interrupt user (cannot be dismissed without action)
+ * - Labels routine blocks straight from the notification buttons
+ * - Escalates ignored blocks: re-notify, full tab, then record as Unaccounted
+ * - Optionally interrupts with a full-page tab instead of the popup
  * - Manages timer state across browser sessions
+ * - Starts and stops tracking at working-hours boundaries (optional schedule)
+ * - Marks idle/locked time as "Away" and pauses the interval while away
+ * - Pauses and resumes the running block with an explicit reason
  * - Handles daily priority checks
  */
 
 console.log('=== BACKGROUND SERVICE WORKER LOADING ===');
-const INTERRUPT_INTERVAL = 15 * 60 * 1000; // 15 minutes in milliseconds
+importScripts('schema.js', 'utils.js'); // Storage schema and shared helpers (settings, time blocks)
 const ALARM_NAME = 'timeTrackerInterrupt';
-console.log('Constants set - INTERRUPT_INTERVAL:', INTERRUPT_INTERVAL, 'ALARM_NAME:', ALARM_NAME);
+const SCHEDULE_ALARM_NAME = 'timeTrackerSchedule';
+const ESCALATION_ALARM_NAME = 'timeTrackerEscalation';
+console.log('Constants set - ALARM_NAME:', ALARM_NAME, 'SCHEDULE_ALARM_NAME:', SCHEDULE_ALARM_NAME);
+
+let migrationRun = null;
+
+/**
+ * Run storage migrations once per service worker lifetime
+ * Both onInstalled and the startup initialize wait on the same run.
+ * A failed run is forgotten so the next event tries again.
+ */
+function ensureMigrated() {
+  if (!migrationRun) {
+    migrationRun = runMigrations().catch(error => {
+      migrationRun = null;
+      throw error;
+    });
+  }
+  return migrationRun;
+}
 
 /**
  * Initialize the extension
- * Checks timer state but doesn't auto-start (user must click Start)
+ * Checks timer state; only auto-starts when a working-hours schedule is enabled
  */
 async function initialize() {
   console.log('=== INITIALIZE CALLED ===');
   try {
+    // Bring older stored data up to the current schema first
+    await ensureMigrated();
+    
     // Check if we need to show daily priority prompt
     console.log('Checking daily priority...');
     await checkDailyPriority();
     
+    // Apply the idle threshold from settings
+    await configureIdleDetection();
+    
+    // Start or stop tracking to match working hours
+    console.log('Syncing working-hours schedule...');
+    await syncSchedule();
+    
     // Check if timer is running and needs interrupt
     console.log('Checking timer state...');
     await checkTimerState();
@@ -38,10 +73,16 @@ async function initialize() {
  * Check timer state and trigger interrupt if needed
  */
 async function checkTimerState() {
-  const result = await chrome.storage.local.get(['pendingBlock', 'timerStart', 'isRunning']);
-  const pendingBlock = result.pendingBlock;
-  const timerStart = result.timerStart;
-  const isRunning = result.isRunning;
+  const result = await chrome.storage.local.get([
+    STORAGE_KEYS.TIMER_START,
+    STORAGE_KEYS.IS_RUNNING,
+    STORAGE_KEYS.IDLE_SINCE,
+    STORAGE_KEYS.AWAY_SEGMENTS,
+    STORAGE_KEYS.PAUSED_AT
+  ]);
+  const pendingBlocks = await getPendingBlocks();
+  const timerStart = result[STORAGE_KEYS.TIMER_START];
+  const isRunning = result[STORAGE_KEYS.IS_RUNNING];
   
   // If timer is not running, don't do anything
   if (!isRunning) {
@@ -50,20 +91,35 @@ async function checkTimerState() {
   
   // If there's a pending block, don't start a new timer
   // User must complete the labeling first
-  if (pendingBlock) {
+  if (pendingBlocks.length > 0) {
     // Timer is paused until user labels the pending block
     return;
   }
   
+  // Paused by the user, or auto-paused while the user is away
+  if (result[STORAGE_KEYS.PAUSED_AT] || result[STORAGE_KEYS.IDLE_SINCE]) {
+    return;
+  }
+  
   if (timerStart) {
-    // Check if 15 minutes have passed since timer start
-    const elapsed = Date.now() - timerStart;
-    if (elapsed >= INTERRUPT_INTERVAL) {
-      // Time to interrupt
+    // Check if the configured interval of active time has passed since timer start
+    const interval = await getInterruptInterval();
+    const now = Date.now();
+    const pauses = clipSegments(await getPausesBetween(timerStart, now), timerStart, now);
+    const away = getSegmentHours(result[STORAGE_KEYS.AWAY_SEGMENTS] || []) * 60 * 60 * 1000;
+    const paused = getSegmentHours(pauses) * 60 * 60 * 1000;
+    const elapsed = now - timerStart - away - paused;
+    if (elapsed >= interval) {
+      // Time to interrupt - but never outside working hours
+      const { schedule } = await getSettings();
+      if (!isWithinSchedule(schedule, Date.now())) {
+        await syncSchedule();
+        return;
+      }
       await triggerInterrupt();
     } else {
       // Schedule interrupt for remaining time
-      const remaining = INTERRUPT_INTERVAL - elapsed;
+      const remaining = interval - elapsed;
       scheduleNextInterrupt(Date.now() + remaining);
     }
   }
@@ -105,40 +161,54 @@ function scheduleNextInterrupt(targetTime) {
 }
 
 /**
- * Trigger the interrupt - creates notification and stores pending block
- * This is the core "uncomfortable" behavior - user cannot proceed without labeling
+ * Start the next interval from now, once the pending blocks are labeled
+ * Does nothing if tracking was stopped meanwhile.
  */
-async function triggerInterrupt() {
-  // Get the timer start time
-  const result = await chrome.storage.local.get(['timerStart']);
-  const timerStart = result.timerStart || Date.now();
-  
-  const blockStart = timerStart;
-  const blockEnd = Date.now();
-  
-  // Store the pending block - this prevents new timer from starting
-  // User MUST label this block before timer can continue
-  await chrome.storage.local.set({ 
-    pendingBlock: {
-      start: blockStart,
-      end: blockEnd
-    }
-  });
-  
-  // Add badge to extension icon to indicate pending action
-  chrome.action.setBadgeText({ text: '!' });
-  chrome.action.setBadgeBackgroundColor({ color: '#22c55e' });
-  
-  // Create persistent notification that cannot be easily dismissed
-  // This is the "hard interrupt" - user must interact
+async function restartInterval() {
+  const now = Date.now();
+  const result = await chrome.storage.local.get([STORAGE_KEYS.IS_RUNNING]);
+  if (result[STORAGE_KEYS.IS_RUNNING]) {
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.TIMER_START]: now,
+      [STORAGE_KEYS.IDLE_SINCE]: null,
+      [STORAGE_KEYS.AWAY_SEGMENTS]: []
+    });
+    const interval = await getInterruptInterval();
+    scheduleNextInterrupt(now + interval);
+    // Clear badge when timer continues
+    chrome.action.setBadgeText({ text: '' });
+  }
+}
+
+/**
+ * Build the notification text for the blocks waiting to be labeled
+ */
+function getInterruptMessage(pendingBlocks) {
+  if (pendingBlocks.length > 1) {
+    return `${pendingBlocks.length} blocks were missed while you were away. Click this notification or the extension icon to label them.`;
+  }
+  const minutes = Math.round(getBlockHours(pendingBlocks[0]) * 60);
+  return `Label your last ${minutes} minutes. Click this notification or the extension icon to continue.`;
+}
+
+/**
+ * Create (or replace) the interrupt notification for the pending blocks
+ * A single pending block gets one-click label buttons; a backlog of missed
+ * blocks needs the tagging screen.
+ */
+async function showInterruptNotification(pendingBlocks) {
+  const quickOptions = pendingBlocks.length === 1 ? await getQuickLabelOptions(pendingBlocks[0]) : [];
   const notificationOptions = {
     type: 'basic',
     title: '⏰ Time Block Complete',
-    message: 'Label your last 15 minutes. Click this notification or the extension icon to continue.',
+    message: getInterruptMessage(pendingBlocks),
     priority: 2,
     requireInteraction: true, // Makes notification harder to dismiss
     silent: false // Make sure it makes a sound
   };
+  if (quickOptions.length > 0) {
+    notificationOptions.buttons = quickOptions.map(option => ({ title: option.title }));
+  }
   
   // Try to add icon, but don't fail if it doesn't work
   try {
@@ -147,22 +217,76 @@ async function triggerInterrupt() {
     console.log('Could not set icon URL:', e);
   }
   
-  chrome.notifications.create('timeBlockInterrupt', notificationOptions, (notificationId) => {
+  chrome.notifications.create(INTERRUPT_NOTIFICATION_ID, notificationOptions, (notificationId) => {
     if (chrome.runtime.lastError) {
       console.error('Error creating notification:', chrome.runtime.lastError);
       // Try again without icon if it failed
-      chrome.notifications.create('timeBlockInterrupt', {
-        type: 'basic',
-        title: '⏰ Time Block Complete',
-        message: 'Label your last 15 minutes. Click this notification or the extension icon to continue.',
-        priority: 2,
-        requireInteraction: true,
-        silent: false
-      });
+      const { iconUrl, ...withoutIcon } = notificationOptions;
+      chrome.notifications.create(INTERRUPT_NOTIFICATION_ID, withoutIcon);
     } else {
       console.log('Notification created with ID:', notificationId);
     }
   });
+}
+
+/**
+ * Trigger the interrupt - creates notification and stores pending blocks
+ * This is the core "uncomfortable" behavior - user cannot proceed without labeling
+ */
+async function triggerInterrupt() {
+  // Get the timer start time
+  const result = await chrome.storage.local.get([
+    STORAGE_KEYS.TIMER_START,
+    STORAGE_KEYS.IDLE_SINCE,
+    STORAGE_KEYS.AWAY_SEGMENTS
+  ]);
+  const timerStart = result[STORAGE_KEYS.TIMER_START] || Date.now();
+  const interval = await getInterruptInterval();
+  const { schedule, interruptMode } = await getSettings();
+  const now = Date.now();
+  
+  // Close any away stretch that is still open
+  const awaySegments = result[STORAGE_KEYS.AWAY_SEGMENTS] || [];
+  if (result[STORAGE_KEYS.IDLE_SINCE]) {
+    awaySegments.push({ start: result[STORAGE_KEYS.IDLE_SINCE], end: now });
+  }
+  await chrome.storage.local.set({ [STORAGE_KEYS.IDLE_SINCE]: null, [STORAGE_KEYS.AWAY_SEGMENTS]: [] });
+  
+  // A long unobserved gap (browser closed, machine asleep) becomes several
+  // interval-sized blocks, skipping anything outside working hours.
+  // Known away and paused time stretches only the block it falls in instead
+  // of being split off, so a resumed block is picked up where it stopped.
+  // Pauses are kept on the block as segments and don't count toward its hours.
+  const pauses = clipSegments(await getPausesBetween(timerStart, now), timerStart, now);
+  const newBlocks = splitIntoBlocks(timerStart, now, interval, schedule, awaySegments.concat(pauses))
+    .map(block => ({
+      ...block,
+      away: clipSegments(awaySegments, block.start, block.end),
+      paused: clipSegments(pauses, block.start, block.end)
+    }));
+  if (newBlocks.length === 0) {
+    return;
+  }
+  
+  // Store the pending blocks - this prevents new timer from starting
+  // User MUST label these blocks before timer can continue
+  const pendingBlocks = (await getPendingBlocks()).concat(newBlocks);
+  await setPendingBlocks(pendingBlocks);
+  await startEscalation();
+  
+  // Add badge to extension icon to indicate pending action
+  chrome.action.setBadgeText({ text: '!' });
+  chrome.action.setBadgeBackgroundColor({ color: '#22c55e' });
+  
+  // Create persistent notification that cannot be easily dismissed
+  // This is the "hard interrupt" - user must interact
+  await showInterruptNotification(pendingBlocks);
+  
+  // The full-page tab can't fail the way openPopup does outside a user gesture
+  if (interruptMode === 'tab') {
+    await openInterruptTab();
+    return;
+  }
   
   // Try to open popup (may not work in all contexts, but notification will)
   try {
@@ -175,11 +299,359 @@ async function triggerInterrupt() {
 }
 
 /**
- * Handle alarm firing - triggers interrupt
+ * Start the escalation ladder for the pending blocks, unless one is running
+ * Checked every minute until the queue is empty.
+ */
+async function startEscalation() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.ESCALATION);
+  if (!result[STORAGE_KEYS.ESCALATION]) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.ESCALATION]: { since: Date.now(), level: 0 } });
+  }
+  chrome.alarms.create(ESCALATION_ALARM_NAME, { periodInMinutes: 1 });
+}
+
+/**
+ * Take the next escalation step for blocks that have waited too long
+ * Re-notifies, then opens a full tab, then records them as Unaccounted,
+ * each after the delay set in settings (0 skips that step).
+ */
+async function escalatePendingBlocks() {
+  const pendingBlocks = await getPendingBlocks();
+  if (pendingBlocks.length === 0) {
+    chrome.alarms.clear(ESCALATION_ALARM_NAME);
+    return;
+  }
+  
+  const result = await chrome.storage.local.get(STORAGE_KEYS.ESCALATION);
+  const escalation = result[STORAGE_KEYS.ESCALATION];
+  if (!escalation) {
+    // Blocks queued before escalation existed start their ladder now
+    await startEscalation();
+    return;
+  }
+  
+  const { escalation: steps } = await getSettings();
+  const waitedMinutes = (Date.now() - escalation.since) / 60000;
+  const reached = step => steps[step] > 0 && waitedMinutes >= steps[step];
+  
+  if (reached('unaccountedMinutes')) {
+    await recordUnaccounted(escalation.since);
+    return;
+  }
+  
+  if (escalation.level < 2 && reached('tabMinutes')) {
+    console.log('Pending blocks ignored, opening interrupt tab...');
+    await openInterruptTab();
+    escalation.level = 2;
+  } else if (escalation.level < 1 && reached('renotifyMinutes')) {
+    // Clear first so the notification pops up again instead of updating quietly
+    console.log('Pending blocks ignored, notifying again...');
+    chrome.notifications.clear(INTERRUPT_NOTIFICATION_ID, () => showInterruptNotification(pendingBlocks));
+    escalation.level = 1;
+  } else {
+    return;
+  }
+  await chrome.storage.local.set({ [STORAGE_KEYS.ESCALATION]: escalation });
+}
+
+/**
+ * Open the tracker in a full tab, or focus the one opened before
+ */
+async function openInterruptTab() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.INTERRUPT_TAB_ID);
+  const tabId = result[STORAGE_KEYS.INTERRUPT_TAB_ID];
+  if (tabId) {
+    try {
+      const tab = await chrome.tabs.update(tabId, { active: true });
+      await chrome.windows.update(tab.windowId, { focused: true });
+      return;
+    } catch (e) {
+      // The tab was closed since; open a new one
+    }
+  }
+  
+  const tab = await chrome.tabs.create({ url: chrome.runtime.getURL(INTERRUPT_PAGE_PATH) });
+  await chrome.storage.local.set({ [STORAGE_KEYS.INTERRUPT_TAB_ID]: tab.id });
+}
+
+/**
+ * Forget the interrupt tab once the user closes it
+ */
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.INTERRUPT_TAB_ID);
+  if (result[STORAGE_KEYS.INTERRUPT_TAB_ID] === tabId) {
+    await chrome.storage.local.remove(STORAGE_KEYS.INTERRUPT_TAB_ID);
+  }
+});
+
+/**
+ * Record blocks nobody labeled as Unaccounted so ignored time stays on record
+ * The wait since the interrupt is recorded as Unaccounted too, rather than
+ * replayed as tracked time. Tracking restarts from now, held as away until
+ * the user is back if the machine is idle or locked.
+ * @param {number} since - When the interrupt fired
+ */
+async function recordUnaccounted(since) {
+  const label = await getUnaccountedLabel();
+  const result = await chrome.storage.local.get(STORAGE_KEYS.IS_RUNNING);
+  const isRunning = result[STORAGE_KEYS.IS_RUNNING];
+  const now = Date.now();
+  
+  // A stopped timer tracked nothing while the blocks waited
+  let pendingBlocks = await getPendingBlocks();
+  if (isRunning) {
+    const interval = await getInterruptInterval();
+    const { schedule } = await getSettings();
+    pendingBlocks = pendingBlocks.concat(splitIntoBlocks(since, now, interval, schedule));
+    await setPendingBlocks(pendingBlocks);
+  }
+  console.log(`Recording ${pendingBlocks.length} ignored block(s) as Unaccounted`);
+  await labelPendingBlocks(pendingBlocks.length, { labelId: label.id });
+  chrome.notifications.clear(INTERRUPT_NOTIFICATION_ID);
+  chrome.alarms.clear(ESCALATION_ALARM_NAME);
+  
+  if (isRunning) {
+    const { idleThresholdMinutes } = await getSettings();
+    const state = idleThresholdMinutes > 0
+      ? await chrome.idle.queryState(Math.max(15, idleThresholdMinutes * 60))
+      : 'active';
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.TIMER_START]: now,
+      [STORAGE_KEYS.IDLE_SINCE]: state === 'active' ? null : now,
+      [STORAGE_KEYS.AWAY_SEGMENTS]: []
+    });
+    await checkTimerState();
+  }
+  await updateBadge();
+}
+
+/**
+ * Start tracking from now
+ */
+async function startTracking() {
+  const now = Date.now();
+  await chrome.storage.local.set({ 
+    [STORAGE_KEYS.TIMER_START]: now,
+    [STORAGE_KEYS.IS_RUNNING]: true,
+    [STORAGE_KEYS.IDLE_SINCE]: null,
+    [STORAGE_KEYS.AWAY_SEGMENTS]: [],
+    [STORAGE_KEYS.STOPPED_MANUALLY_ON]: null
+  });
+  
+  const interval = await getInterruptInterval();
+  scheduleNextInterrupt(now + interval);
+}
+
+/**
+ * Stop tracking because the user asked to
+ * The schedule won't restart the timer until its next start boundary.
+ */
+async function stopTrackingManually() {
+  await stopTracking();
+  await chrome.storage.local.set({ [STORAGE_KEYS.STOPPED_MANUALLY_ON]: new Date().toDateString() });
+}
+
+/**
+ * Stop tracking
+ * @param {boolean} captureBlock - Queue the partial block for labeling instead of discarding it
+ */
+async function stopTracking(captureBlock = false) {
+  chrome.alarms.clear(ALARM_NAME);
+  
+  // A pause in progress ends with the timer
+  await closePause();
+  
+  if (captureBlock) {
+    const result = await chrome.storage.local.get([STORAGE_KEYS.TIMER_START]);
+    const timerStart = result[STORAGE_KEYS.TIMER_START];
+    const pendingBlocks = await getPendingBlocks();
+    // Only worth labeling if at least a minute was tracked
+    if (timerStart && pendingBlocks.length === 0 && Date.now() - timerStart >= 60 * 1000) {
+      await triggerInterrupt();
+    }
+  }
+  
+  await chrome.storage.local.set({ 
+    [STORAGE_KEYS.IS_RUNNING]: false,
+    [STORAGE_KEYS.TIMER_START]: null,
+    [STORAGE_KEYS.IDLE_SINCE]: null,
+    [STORAGE_KEYS.AWAY_SEGMENTS]: []
+  });
+}
+
+/**
+ * Record the pause in progress, if any, as a finished pause
+ */
+async function closePause() {
+  const result = await chrome.storage.local.get([
+    STORAGE_KEYS.PAUSED_AT,
+    STORAGE_KEYS.PAUSE_REASON
+  ]);
+  if (!result[STORAGE_KEYS.PAUSED_AT]) {
+    return;
+  }
+  await savePause({
+    start: result[STORAGE_KEYS.PAUSED_AT],
+    end: Date.now(),
+    reason: result[STORAGE_KEYS.PAUSE_REASON]
+  });
+  await chrome.storage.local.set({ [STORAGE_KEYS.PAUSED_AT]: null, [STORAGE_KEYS.PAUSE_REASON]: null });
+}
+
+/**
+ * Pause the running block, keeping its elapsed time
+ * @param {string} reason - One of PAUSE_REASONS
+ */
+async function pauseTracking(reason) {
+  const result = await chrome.storage.local.get([
+    STORAGE_KEYS.IS_RUNNING,
+    STORAGE_KEYS.PAUSED_AT,
+    STORAGE_KEYS.IDLE_SINCE,
+    STORAGE_KEYS.AWAY_SEGMENTS
+  ]);
+  if (!result[STORAGE_KEYS.IS_RUNNING] || result[STORAGE_KEYS.PAUSED_AT]) {
+    return;
+  }
+  
+  const now = Date.now();
+  chrome.alarms.clear(ALARM_NAME);
+  
+  // An open away stretch ends where the pause begins
+  const awaySegments = result[STORAGE_KEYS.AWAY_SEGMENTS] || [];
+  if (result[STORAGE_KEYS.IDLE_SINCE]) {
+    awaySegments.push({ start: result[STORAGE_KEYS.IDLE_SINCE], end: now });
+  }
+  
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.PAUSED_AT]: now,
+    [STORAGE_KEYS.PAUSE_REASON]: reason,
+    [STORAGE_KEYS.IDLE_SINCE]: null,
+    [STORAGE_KEYS.AWAY_SEGMENTS]: awaySegments
+  });
+}
+
+/**
+ * Resume the paused block where it stopped
+ */
+async function resumeTracking() {
+  await closePause();
+  // Reschedules the interrupt for the block's remaining active time
+  await checkTimerState();
+}
+
+/**
+ * Apply the idle threshold from settings
+ */
+async function configureIdleDetection() {
+  const { idleThresholdMinutes } = await getSettings();
+  if (idleThresholdMinutes > 0) {
+    chrome.idle.setDetectionInterval(idleThresholdMinutes * 60);
+  }
+}
+
+/**
+ * Track idle and locked stretches of the running block
+ * Going away pauses the interval; coming back records an Away segment and resumes
+ */
+async function handleIdleStateChange(newState) {
+  const { idleThresholdMinutes } = await getSettings();
+  const result = await chrome.storage.local.get([
+    STORAGE_KEYS.IS_RUNNING,
+    STORAGE_KEYS.TIMER_START,
+    STORAGE_KEYS.IDLE_SINCE,
+    STORAGE_KEYS.AWAY_SEGMENTS,
+    STORAGE_KEYS.PAUSED_AT
+  ]);
+  const pendingBlocks = await getPendingBlocks();
+  if (!result[STORAGE_KEYS.IS_RUNNING] || !result[STORAGE_KEYS.TIMER_START] ||
+      result[STORAGE_KEYS.PAUSED_AT] || pendingBlocks.length > 0) {
+    return;
+  }
+  
+  const now = Date.now();
+  if (newState === 'active') {
+    if (!result[STORAGE_KEYS.IDLE_SINCE]) {
+      return;
+    }
+    console.log('User is back - resuming timer');
+    const awaySegments = (result[STORAGE_KEYS.AWAY_SEGMENTS] || [])
+      .concat({ start: result[STORAGE_KEYS.IDLE_SINCE], end: now });
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.IDLE_SINCE]: null,
+      [STORAGE_KEYS.AWAY_SEGMENTS]: awaySegments
+    });
+    await checkTimerState();
+  } else if (idleThresholdMinutes > 0 && !result[STORAGE_KEYS.IDLE_SINCE]) {
+    // "idle" is only reported once the threshold has passed; "locked" is immediate
+    const idleSince = newState === 'idle'
+      ? Math.max(result[STORAGE_KEYS.TIMER_START], now - idleThresholdMinutes * 60 * 1000)
+      : now;
+    console.log('User is away (' + newState + ') - pausing timer');
+    chrome.alarms.clear(ALARM_NAME);
+    await chrome.storage.local.set({ [STORAGE_KEYS.IDLE_SINCE]: idleSince });
+  }
+}
+
+chrome.idle.onStateChanged.addListener(handleIdleStateChange);
+
+/**
+ * Start or stop tracking to match the working-hours schedule
+ * and set an alarm for the next boundary
+ * A timer the user stopped today stays stopped until the next boundary,
+ * since this also runs on every service worker wake.
+ * @param {boolean} atBoundary - Called by the boundary alarm
+ */
+async function syncSchedule(atBoundary = false) {
+  chrome.alarms.clear(SCHEDULE_ALARM_NAME);
+  
+  const { schedule } = await getSettings();
+  if (!schedule.enabled) {
+    return;
+  }
+  
+  if (atBoundary) {
+    await chrome.storage.local.remove(STORAGE_KEYS.STOPPED_MANUALLY_ON);
+  }
+  
+  const now = Date.now();
+  const result = await chrome.storage.local.get([
+    STORAGE_KEYS.IS_RUNNING,
+    STORAGE_KEYS.STOPPED_MANUALLY_ON
+  ]);
+  const working = isWithinSchedule(schedule, now);
+  const stoppedToday = result[STORAGE_KEYS.STOPPED_MANUALLY_ON] === new Date(now).toDateString();
+  
+  if (working && !result[STORAGE_KEYS.IS_RUNNING] && !stoppedToday) {
+    console.log('Working hours started - starting timer');
+    await startTracking();
+  } else if (!working && result[STORAGE_KEYS.IS_RUNNING]) {
+    console.log('Working hours ended - stopping timer');
+    await stopTracking(true);
+  }
+  
+  const nextBoundary = getNextScheduleBoundary(schedule, now);
+  if (nextBoundary) {
+    console.log('Next schedule boundary:', new Date(nextBoundary).toISOString());
+    chrome.alarms.create(SCHEDULE_ALARM_NAME, { when: nextBoundary });
+  }
+}
+
+/**
+ * Handle alarm firing - triggers interrupt or applies the schedule
  */
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name === ALARM_NAME) {
+    const { schedule } = await getSettings();
+    if (!isWithinSchedule(schedule, Date.now())) {
+      // Never interrupt outside working hours
+      await syncSchedule();
+      return;
+    }
     await triggerInterrupt();
+  } else if (alarm.name === SCHEDULE_ALARM_NAME) {
+    await syncSchedule(true);
+  } else if (alarm.name === ESCALATION_ALARM_NAME) {
+    await escalatePendingBlocks();
   }
 });
 
@@ -189,49 +661,87 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
  */
 async function checkDailyPriority() {
   const today = new Date().toDateString();
-  const result = await chrome.storage.local.get(['currentDay', 'dailyPriority']);
-  const currentDay = result.currentDay;
-  const dailyPriority = result.dailyPriority || {};
+  const result = await chrome.storage.local.get([
+    STORAGE_KEYS.CURRENT_DAY,
+    STORAGE_KEYS.DAILY_PRIORITY
+  ]);
+  const currentDay = result[STORAGE_KEYS.CURRENT_DAY];
+  const dailyPriority = result[STORAGE_KEYS.DAILY_PRIORITY] || {};
   
   if (currentDay !== today) {
     // New day - update current day
-    await chrome.storage.local.set({ currentDay: today });
+    await chrome.storage.local.set({ [STORAGE_KEYS.CURRENT_DAY]: today });
     
     if (!dailyPriority[today]) {
       // Priority not set for today - will be prompted in popup
-      await chrome.storage.local.set({ needsPriority: true });
+      await chrome.storage.local.set({ [STORAGE_KEYS.NEEDS_PRIORITY]: true });
     }
   }
 }
 
 /**
- * Handle notification click - open popup
+ * Bring up the tagging screen: the interrupt tab in tab mode, otherwise the popup
  */
-chrome.notifications.onClicked.addListener((notificationId) => {
-  if (notificationId === 'timeBlockInterrupt') {
-    console.log('Notification clicked, attempting to open popup...');
+async function openTagging() {
+  const { interruptMode } = await getSettings();
+  if (interruptMode === 'tab') {
+    await openInterruptTab();
+  } else {
+    console.log('Attempting to open popup...');
     chrome.action.openPopup();
+  }
+}
+
+/**
+ * Handle notification click - open the tagging screen
+ */
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId === INTERRUPT_NOTIFICATION_ID) {
+    openTagging();
     // Clear the notification after opening
     chrome.notifications.clear(notificationId);
   }
 });
 
 /**
- * Handle notification button click (if we add buttons in the future)
+ * Handle notification button click - label the block without the popup
+ * Uses the same save path as the tagging screen, then restarts the interval.
  */
 chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
-  if (notificationId === 'timeBlockInterrupt') {
-    chrome.action.openPopup();
-    chrome.notifications.clear(notificationId);
+  if (notificationId !== INTERRUPT_NOTIFICATION_ID) {
+    return;
   }
+  
+  (async () => {
+    try {
+      const pendingBlocks = await getPendingBlocks();
+      const option = pendingBlocks.length === 1 ? (await getQuickLabelOptions(pendingBlocks[0]))[buttonIndex] : null;
+      chrome.notifications.clear(notificationId);
+      if (!option) {
+        // The options changed since the notification was shown
+        await openTagging();
+        return;
+      }
+      
+      const remaining = await labelPendingBlocks(1, option);
+      if (remaining.length > 0) {
+        await showInterruptNotification(remaining);
+        return;
+      }
+      await restartInterval();
+      updateBadge();
+    } catch (error) {
+      console.error('Error labeling from notification:', error);
+    }
+  })();
 });
 
 /**
  * Update badge based on pending block status
  */
 async function updateBadge() {
-  const result = await chrome.storage.local.get(['pendingBlock']);
-  if (result.pendingBlock) {
+  const pendingBlocks = await getPendingBlocks();
+  if (pendingBlocks.length > 0) {
     chrome.action.setBadgeText({ text: '!' });
     chrome.action.setBadgeBackgroundColor({ color: '#22c55e' });
   } else {
@@ -244,34 +754,51 @@ async function updateBadge() {
  * This recreates the notification if it was dismissed
  */
 async function ensureNotificationExists() {
-  const result = await chrome.storage.local.get(['pendingBlock']);
-  if (result.pendingBlock) {
+  const pendingBlocks = await getPendingBlocks();
+  if (pendingBlocks.length > 0) {
     // Check if notification exists
     chrome.notifications.getAll((notifications) => {
-      if (!notifications || !notifications['timeBlockInterrupt']) {
+      if (!notifications || !notifications[INTERRUPT_NOTIFICATION_ID]) {
         // Notification doesn't exist, recreate it
         console.log('Recreating notification for pending block...');
-        const notificationOptions = {
-          type: 'basic',
-          title: '⏰ Time Block Complete',
-          message: 'Label your last 15 minutes. Click this notification or the extension icon to continue.',
-          priority: 2,
-          requireInteraction: true,
-          silent: false
-        };
-        
-        try {
-          notificationOptions.iconUrl = chrome.runtime.getURL('icons/icon48.png');
-        } catch (e) {
-          console.log('Could not set icon URL:', e);
-        }
-        
-        chrome.notifications.create('timeBlockInterrupt', notificationOptions);
+        showInterruptNotification(pendingBlocks);
       }
     });
   }
 }
 
+/**
+ * Handle the keyboard command
+ * With a block waiting it opens tagging; otherwise it starts or stops the timer.
+ */
+chrome.commands.onCommand.addListener(async (command) => {
+  if (command !== 'toggle-timer') {
+    return;
+  }
+  
+  try {
+    if ((await getPendingBlocks()).length > 0) {
+      await openTagging();
+      return;
+    }
+    
+    const result = await chrome.storage.local.get(STORAGE_KEYS.IS_RUNNING);
+    if (result[STORAGE_KEYS.IS_RUNNING]) {
+      await stopTrackingManually();
+      return;
+    }
+    
+    const { schedule } = await getSettings();
+    if (!isWithinSchedule(schedule, Date.now())) {
+      console.log('Not starting from the keyboard: outside working hours');
+      return;
+    }
+    await startTracking();
+  } catch (error) {
+    console.error('Error handling command:', error);
+  }
+});
+
 /**
  * Handle messages from popup
  * Handles start/stop timer and restart after labeling
@@ -291,23 +818,22 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     console.log('Processing startTimer action...');
     (async () => {
       try {
-        console.log('Step 1: Getting current time...');
-        const now = Date.now();
-        console.log('Current timestamp:', now, new Date(now).toISOString());
+        console.log('Step 1: Checking working hours...');
+        const { schedule } = await getSettings();
+        if (!isWithinSchedule(schedule, Date.now())) {
+          sendResponse({ success: false, error: 'Outside working hours. The timer starts automatically when your schedule begins.' });
+          return;
+        }
         
-        console.log('Step 2: Setting storage...');
-        await chrome.storage.local.set({ 
-          timerStart: now,
-          isRunning: true
-        });
-        console.log('Storage set successfully');
+        console.log('Step 2: Starting tracking...');
+        await startTracking();
         
         // Verify storage was set
-        const verify = await chrome.storage.local.get(['timerStart', 'isRunning']);
+        const verify = await chrome.storage.local.get([
+          STORAGE_KEYS.TIMER_START,
+          STORAGE_KEYS.IS_RUNNING
+        ]);
         console.log('Storage verification:', verify);
-        
-        console.log('Step 3: Scheduling interrupt...');
-        scheduleNextInterrupt(now + INTERRUPT_INTERVAL);
         console.log('=== TIMER STARTED SUCCESSFULLY ===');
         sendResponse({ success: true });
       } catch (error) {
@@ -321,11 +847,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   } else if (request.action === 'stopTimer') {
     (async () => {
       try {
-        chrome.alarms.clear(ALARM_NAME);
-        await chrome.storage.local.set({ 
-          isRunning: false,
-          timerStart: null
-        });
+        await stopTrackingManually();
         sendResponse({ success: true });
       } catch (error) {
         console.error('Error stopping timer:', error);
@@ -333,17 +855,32 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       }
     })();
     return true; // Keep message channel open for async response
+  } else if (request.action === 'pauseTimer') {
+    (async () => {
+      try {
+        await pauseTracking(request.reason);
+        sendResponse({ success: true });
+      } catch (error) {
+        console.error('Error pausing timer:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true; // Keep message channel open for async response
+  } else if (request.action === 'resumeTimer') {
+    (async () => {
+      try {
+        await resumeTracking();
+        sendResponse({ success: true });
+      } catch (error) {
+        console.error('Error resuming timer:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true; // Keep message channel open for async response
   } else if (request.action === 'scheduleNextInterrupt') {
     (async () => {
       try {
-        const now = Date.now();
-        const result = await chrome.storage.local.get(['isRunning']);
-        if (result.isRunning) {
-          await chrome.storage.local.set({ timerStart: now });
-          scheduleNextInterrupt(now + INTERRUPT_INTERVAL);
-          // Clear badge when timer continues
-          chrome.action.setBadgeText({ text: '' });
-        }
+        await restartInterval();
         sendResponse({ success: true });
       } catch (error) {
         console.error('Error scheduling next interrupt:', error);
@@ -351,12 +888,26 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       }
     })();
     return true; // Keep message channel open for async response
+  } else if (request.action === 'settingsChanged') {
+    (async () => {
+      try {
+        // Re-evaluate the running block against the new interval, schedule and idle threshold
+        await configureIdleDetection();
+        await syncSchedule();
+        await checkTimerState();
+        sendResponse({ success: true });
+      } catch (error) {
+        console.error('Error applying settings:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true; // Keep message channel open for async response
   } else if (request.action === 'clearPendingBlock') {
     (async () => {
       try {
-        await chrome.storage.local.set({ pendingBlock: null });
+        await setPendingBlocks([]);
         chrome.action.setBadgeText({ text: '' });
-        chrome.notifications.clear('timeBlockInterrupt');
+        chrome.notifications.clear(INTERRUPT_NOTIFICATION_ID);
         updateBadge();
         sendResponse({ success: true });
       } catch (error) {
@@ -368,18 +919,31 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   } else if (request.action === 'getTimerState') {
     (async () => {
       try {
-        const result = await chrome.storage.local.get(['isRunning', 'timerStart', 'pendingBlock']);
+        const result = await chrome.storage.local.get([
+          STORAGE_KEYS.IS_RUNNING,
+          STORAGE_KEYS.TIMER_START,
+          STORAGE_KEYS.IDLE_SINCE,
+          STORAGE_KEYS.PAUSED_AT,
+          STORAGE_KEYS.PAUSE_REASON
+        ]);
+        const pendingBlocks = await getPendingBlocks();
         sendResponse({ 
-          isRunning: result.isRunning || false,
-          timerStart: result.timerStart || null,
-          pendingBlock: result.pendingBlock || null
+          isRunning: result[STORAGE_KEYS.IS_RUNNING] || false,
+          timerStart: result[STORAGE_KEYS.TIMER_START] || null,
+          idleSince: result[STORAGE_KEYS.IDLE_SINCE] || null,
+          pausedAt: result[STORAGE_KEYS.PAUSED_AT] || null,
+          pauseReason: result[STORAGE_KEYS.PAUSE_REASON] || null,
+          pendingBlocks
         });
       } catch (error) {
         console.error('Error getting timer state:', error);
         sendResponse({ 
           isRunning: false,
           timerStart: null,
-          pendingBlock: null
+          idleSince: null,
+          pausedAt: null,
+          pauseReason: null,
+          pendingBlocks: []
         });
       }
     })();
@@ -394,10 +958,14 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 console.log('=== SETTING UP EVENT LISTENERS ===');
 chrome.runtime.onStartup.addListener(() => {
   console.log('onStartup event fired');
+  // Tab IDs don't survive a browser restart
+  chrome.storage.local.remove(STORAGE_KEYS.INTERRUPT_TAB_ID);
   initialize();
 });
-chrome.runtime.onInstalled.addListener((details) => {
+chrome.runtime.onInstalled.addListener(async (details) => {
   console.log('onInstalled event fired, reason:', details.reason);
+  // Upgrade stored data before anything reads it in the new shape
+  await ensureMigrated();
   initialize();
 });
 
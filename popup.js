@@ -3,40 +3,40 @@
  * Handles all UI interactions and screen management
  */
 
-const DEFAULT_LABELS = ['Work', 'Meetings', 'Break', 'Planning', 'Other'];
 const NOTE_CHAR_LIMIT = 100;
-const STORAGE_KEY_LABELS = 'customLabels';
 
-// DOM elements
-let selectedLabel = null;
-let pendingBlock = null;
+// How many suggested labels the tagging screen offers above the full list
+const MAX_SUGGESTED_LABELS = 3;
 
-/**
- * Get labels from storage, with default fallback
- */
-async function getLabels() {
-  const result = await chrome.storage.local.get(STORAGE_KEY_LABELS);
-  return result[STORAGE_KEY_LABELS] || DEFAULT_LABELS;
-}
+// True when the popup UI runs as the full-page interrupt tab
+const IS_INTERRUPT_TAB = new URLSearchParams(location.search).get('view') === 'interrupt';
 
-/**
- * Save labels to storage
- */
-async function saveLabels(labels) {
-  await chrome.storage.local.set({ [STORAGE_KEY_LABELS]: labels });
-}
+// DOM elements
+let selectedLabel = null;
+let pendingBlocks = [];
 
 /**
  * Initialize popup - determine which screen to show
  */
 async function initializePopup() {
-  // Check if there's a pending block that needs to be labeled
-  const result = await chrome.storage.local.get(['pendingBlock', 'needsPriority']);
-  pendingBlock = result.pendingBlock;
-  const needsPriority = result.needsPriority;
+  if (IS_INTERRUPT_TAB) {
+    document.body.classList.add('interrupt-page');
+    // Blocks labeled somewhere else leave nothing for this tab to do
+    chrome.storage.onChanged.addListener((changes, area) => {
+      const pendingChange = changes[STORAGE_KEYS.PENDING_BLOCKS];
+      if (area === 'local' && pendingChange && (pendingChange.newValue || []).length === 0) {
+        closeInterruptTab();
+      }
+    });
+  }
+  
+  // Check if there are pending blocks that need to be labeled
+  const result = await chrome.storage.local.get([STORAGE_KEYS.NEEDS_PRIORITY]);
+  pendingBlocks = await getPendingBlocks();
+  const needsPriority = result[STORAGE_KEYS.NEEDS_PRIORITY];
   
-  // Update badge based on pending block
-  if (pendingBlock) {
+  // Update badge based on pending blocks
+  if (pendingBlocks.length > 0) {
     chrome.action.setBadgeText({ text: '!' });
     chrome.action.setBadgeBackgroundColor({ color: '#22c55e' });
   } else {
@@ -48,9 +48,9 @@ async function initializePopup() {
   
   if (needsPriority) {
     // Show priority prompt first
-    showPriorityPrompt();
-  } else if (pendingBlock) {
-    // Show tagging screen for pending block
+    await showPriorityPrompt();
+  } else if (pendingBlocks.length > 0) {
+    // Show tagging screen for pending blocks
     await showTaggingScreen();
   } else {
     // Show main menu
@@ -58,45 +58,155 @@ async function initializePopup() {
   }
 }
 
+/**
+ * Close the interrupt tab once there is nothing left to label
+ */
+async function closeInterruptTab() {
+  const tab = await chrome.tabs.getCurrent();
+  if (tab) {
+    chrome.tabs.remove(tab.id);
+  }
+}
+
 /**
  * Hide all screens
  */
 function hideAllScreens() {
+  // Keyboard shortcuts belong to the screen that set them
+  document.onkeydown = null;
   document.getElementById('priorityPrompt').style.display = 'none';
   document.getElementById('taggingScreen').style.display = 'none';
   document.getElementById('dailyReview').style.display = 'none';
   document.getElementById('weeklyReview').style.display = 'none';
   document.getElementById('dataView').style.display = 'none';
   document.getElementById('settingsScreen').style.display = 'none';
+  document.getElementById('importScreen').style.display = 'none';
+  document.getElementById('priorityHistory').style.display = 'none';
+  document.getElementById('reports').style.display = 'none';
   document.getElementById('mainMenu').style.display = 'none';
 }
 
 /**
  * Show priority prompt screen
+ * Asks how the last day with priorities went first, if it wasn't marked yet.
  */
-function showPriorityPrompt() {
+async function showPriorityPrompt() {
   hideAllScreens();
   const screen = document.getElementById('priorityPrompt');
   screen.style.display = 'block';
   
-  const input = document.getElementById('priorityInput');
+  const review = document.getElementById('priorityReview');
+  const setup = document.getElementById('prioritySetup');
+  const unreviewed = await getUnreviewedPriorityDay();
+  if (!unreviewed) {
+    review.style.display = 'none';
+    await showPrioritySetup([]);
+    return;
+  }
+  
+  const yesterday = new Date();
+  yesterday.setDate(yesterday.getDate() - 1);
+  document.getElementById('priorityReviewTitle').textContent = unreviewed.day === yesterday.toDateString()
+    ? 'How did yesterday go?'
+    : `How did ${formatDate(unreviewed.day)} go?`;
+  
+  const rowsContainer = document.getElementById('priorityReviewRows');
+  renderPriorityStatusControls(rowsContainer, unreviewed.priorities, true);
+  setup.style.display = 'none';
+  review.style.display = 'block';
+  
+  document.getElementById('priorityReviewContinue').onclick = async () => {
+    const { statuses, carried } = readPriorityStatusControls(rowsContainer);
+    if (Object.values(statuses).some(status => !status)) {
+      alert('Please mark every priority as done, partial or not done.');
+      return;
+    }
+    
+    await setPriorityStatuses(unreviewed.day, statuses);
+    review.style.display = 'none';
+    await showPrioritySetup(unreviewed.priorities
+      .filter(priority => carried.includes(priority.id))
+      .map(priority => ({ ...priority, carriedFrom: priority.carriedFrom || unreviewed.day })));
+  };
+}
+
+/**
+ * Show the rows for declaring today's priorities
+ * @param {Array} carried - Earlier priorities to prefill, with carriedFrom set
+ */
+async function showPrioritySetup(carried) {
+  const setup = document.getElementById('prioritySetup');
+  setup.style.display = 'block';
+  
+  const rowsContainer = document.getElementById('priorityRows');
   const submitBtn = document.getElementById('prioritySubmit');
   
-  input.value = '';
-  input.focus();
+  // Each row has the priority text and the labels that count toward it
+  const labels = await getActiveLabels();
+  rowsContainer.innerHTML = '';
+  for (let rank = 1; rank <= MAX_PRIORITIES; rank++) {
+    const row = document.createElement('div');
+    row.className = 'priority-row';
+    
+    // Carried priorities fill the first rows, keeping their labels
+    const carriedPriority = carried[rank - 1];
+    if (carriedPriority) {
+      row.dataset.carriedFrom = carriedPriority.carriedFrom;
+    }
+    
+    const input = document.createElement('textarea');
+    input.className = 'priority-input';
+    input.maxLength = 200;
+    input.placeholder = rank === 1
+      ? `${rank}. e.g., Finish the quarterly report and send to stakeholders`
+      : `${rank}. Optional`;
+    input.value = carriedPriority ? carriedPriority.text : '';
+    row.appendChild(input);
+    
+    const labelsContainer = document.createElement('div');
+    labelsContainer.className = 'priority-labels';
+    labels.forEach(label => {
+      const option = document.createElement('label');
+      option.className = 'priority-label-option';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = label.id;
+      checkbox.checked = Boolean(carriedPriority && carriedPriority.labelIds.includes(label.id));
+      option.appendChild(checkbox);
+      option.appendChild(document.createTextNode(label.name));
+      labelsContainer.appendChild(option);
+    });
+    row.appendChild(labelsContainer);
+    
+    rowsContainer.appendChild(row);
+  }
+  rowsContainer.querySelector('.priority-input').focus();
   
   submitBtn.onclick = async () => {
-    const priority = input.value.trim();
-    if (priority.length === 0) {
+    const priorities = [];
+    for (const row of rowsContainer.querySelectorAll('.priority-row')) {
+      const text = row.querySelector('.priority-input').value.trim();
+      if (text.length === 0) {
+        continue;
+      }
+      const labelIds = [...row.querySelectorAll('input:checked')].map(checkbox => checkbox.value);
+      if (labelIds.length === 0) {
+        alert(`Please pick at least one label that counts toward "${text}".`);
+        return;
+      }
+      priorities.push(createPriority(text, labelIds, row.dataset.carriedFrom || null));
+    }
+    
+    if (priorities.length === 0) {
       alert('Please enter your priority for today.');
       return;
     }
     
-    await setTodayPriority(priority);
-    await chrome.storage.local.set({ needsPriority: false });
+    await setTodayPriorities(priorities);
+    await chrome.storage.local.set({ [STORAGE_KEYS.NEEDS_PRIORITY]: false });
     
-    // If there's a pending block, show tagging screen, otherwise show main menu
-    if (pendingBlock) {
+    // If there are pending blocks, show tagging screen, otherwise show main menu
+    if (pendingBlocks.length > 0) {
       await showTaggingScreen();
     } else {
       showMainMenu();
@@ -104,8 +214,70 @@ function showPriorityPrompt() {
   };
 }
 
+/**
+ * Render a status picker for each of a day's priorities
+ * @param {boolean} withCarry - Also offer carrying each priority forward to today
+ */
+function renderPriorityStatusControls(container, priorities, withCarry) {
+  container.innerHTML = '';
+  priorities.forEach((priority, index) => {
+    const row = document.createElement('div');
+    row.className = 'priority-status-row';
+    row.dataset.priorityId = priority.id;
+    
+    const text = document.createElement('span');
+    text.className = 'priority-status-text';
+    text.textContent = `${index + 1}. ${priority.text}`;
+    row.appendChild(text);
+    
+    const select = document.createElement('select');
+    select.className = 'priority-status-select';
+    select.innerHTML = '<option value="">Not marked</option>' + Object.entries(PRIORITY_STATUSES)
+      .map(([value, status]) => `<option value="${value}">${status.name}</option>`)
+      .join('');
+    select.value = priority.status || '';
+    row.appendChild(select);
+    
+    if (withCarry) {
+      const carry = document.createElement('label');
+      carry.className = 'priority-label-option';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'priority-carry';
+      carry.appendChild(checkbox);
+      carry.appendChild(document.createTextNode('Carry forward'));
+      row.appendChild(carry);
+      
+      // Finished priorities have nothing left to carry
+      select.onchange = () => {
+        checkbox.checked = select.value === 'partial' || select.value === 'not-done';
+      };
+    }
+    
+    container.appendChild(row);
+  });
+}
+
+/**
+ * Read the status pickers rendered by renderPriorityStatusControls
+ * @returns {Object} { statuses: { priorityId: status }, carried: [priorityId] }
+ */
+function readPriorityStatusControls(container) {
+  const statuses = {};
+  const carried = [];
+  container.querySelectorAll('.priority-status-row').forEach(row => {
+    statuses[row.dataset.priorityId] = row.querySelector('.priority-status-select').value || null;
+    const carry = row.querySelector('.priority-carry');
+    if (carry && carry.checked) {
+      carried.push(row.dataset.priorityId);
+    }
+  });
+  return { statuses, carried };
+}
+
 /**
  * Show tagging screen for interrupt
+ * Walks through the pending queue one block at a time
  */
 async function showTaggingScreen() {
   hideAllScreens();
@@ -117,34 +289,137 @@ async function showTaggingScreen() {
   const noteInput = document.getElementById('noteInput');
   const charCount = document.getElementById('charCount');
   const submitBtn = document.getElementById('submitButton');
+  const applyAllBtn = document.getElementById('applyAllButton');
+  const progress = document.getElementById('taggingProgress');
   
   noteInput.value = '';
   charCount.textContent = `0 / ${NOTE_CHAR_LIMIT}`;
   submitBtn.disabled = true;
+  applyAllBtn.disabled = true;
+  
+  // Title reflects the real length of the block being labeled
+  const pendingBlock = pendingBlocks[0];
+  const minutes = Math.round(getBlockHours(pendingBlock) * 60);
+  
+  // Backfilled blocks show which slot is being labeled
+  if (pendingBlocks.length > 1) {
+    const timeOptions = { hour: 'numeric', minute: '2-digit', hour12: true };
+    const startTime = new Date(pendingBlock.start).toLocaleTimeString('en-US', timeOptions);
+    const endTime = new Date(pendingBlock.end).toLocaleTimeString('en-US', timeOptions);
+    document.getElementById('taggingTitle').textContent = `Label ${startTime} - ${endTime}`;
+    progress.textContent = `${pendingBlocks.length} blocks left to label`;
+    progress.style.display = 'block';
+    applyAllBtn.textContent = `Apply this label to all ${pendingBlocks.length} remaining`;
+    applyAllBtn.style.display = 'block';
+  } else {
+    document.getElementById('taggingTitle').textContent = `Label your last ${minutes} minutes`;
+    progress.style.display = 'none';
+    applyAllBtn.style.display = 'none';
+  }
+  
+  // Show how much of the block was actually at the keyboard
+  const activity = document.getElementById('taggingActivity');
+  const awayMinutes = Math.round(getAwayHours(pendingBlock) * 60);
+  const pausedMinutes = Math.round(getPausedHours(pendingBlock) * 60);
+  if (awayMinutes > 0) {
+    activity.textContent = `Active ${minutes - awayMinutes} of ${minutes} minutes (${awayMinutes} away)` +
+      (pausedMinutes > 0 ? `, paused ${pausedMinutes} minutes in between` : '');
+    activity.style.display = 'block';
+  } else if (pausedMinutes > 0) {
+    activity.textContent = `Paused ${pausedMinutes} minutes in between`;
+    activity.style.display = 'block';
+  } else {
+    activity.style.display = 'none';
+  }
+  
+  // Attribute the block to one of its own day's priorities, or to none
+  const priorities = await getPrioritiesForDate(new Date(pendingBlock.start).toDateString());
+  const attribution = document.getElementById('priorityAttribution');
+  const attributionButtons = document.getElementById('priorityAttributionButtons');
+  let priorityChosen = false;
+  attributionButtons.innerHTML = '';
+  priorities
+    .map((priority, index) => ({ value: priority.id, text: `${index + 1}. ${priority.text}` }))
+    .concat({ value: '', text: 'None' })
+    .forEach(({ value, text }) => {
+      const option = document.createElement('label');
+      option.className = 'priority-label-option';
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'priorityAttribution';
+      radio.value = value;
+      radio.checked = value === '';
+      radio.onchange = () => {
+        priorityChosen = true;
+      };
+      option.appendChild(radio);
+      option.appendChild(document.createTextNode(text));
+      attributionButtons.appendChild(option);
+    });
+  attribution.style.display = priorities.length > 0 ? 'block' : 'none';
+  
+  // Picking a label marks it in both the suggested group and the fixed list
+  const selectLabel = (label) => {
+    document.querySelectorAll('.label-button').forEach(btn => {
+      btn.classList.toggle('selected', btn.dataset.labelId === label.id);
+    });
+    selectedLabel = label.id;
+    submitBtn.disabled = false;
+    applyAllBtn.disabled = false;
+    
+    // Suggest the first priority this label counts toward
+    if (!priorityChosen) {
+      const match = getPriorityForLabel(priorities, label.id);
+      attributionButtons.querySelector(`input[value="${match ? match.id : ''}"]`).checked = true;
+    }
+  };
+  
+  const createLabelButton = (label) => {
+    const button = document.createElement('button');
+    button.className = 'label-button';
+    button.textContent = label.name;
+    button.style.borderLeftColor = label.color;
+    button.dataset.labelId = label.id;
+    button.onclick = () => selectLabel(label);
+    return button;
+  };
   
   // Create label buttons
   const labelButtonsContainer = document.getElementById('labelButtons');
   labelButtonsContainer.innerHTML = '';
   
-  const labels = await getLabels();
-  labels.forEach(label => {
-    const button = document.createElement('button');
-    button.className = 'label-button';
-    button.textContent = label;
-    button.onclick = () => {
-      // Remove selected class from all buttons
-      document.querySelectorAll('.label-button').forEach(btn => {
-        btn.classList.remove('selected');
-      });
-      
-      // Add selected class to clicked button
-      button.classList.add('selected');
-      selectedLabel = label;
-      submitBtn.disabled = false;
-    };
+  const labels = await getActiveLabels();
+  labels.forEach((label, index) => {
+    const button = createLabelButton(label);
+    
+    // The first nine labels can be picked with the number keys
+    if (index < 9) {
+      const shortcut = document.createElement('span');
+      shortcut.className = 'label-shortcut';
+      shortcut.textContent = index + 1;
+      button.prepend(shortcut);
+    }
     labelButtonsContainer.appendChild(button);
   });
   
+  // The likeliest labels get their own group above the fixed list, most
+  // likely first. Nothing is preselected, so Enter can't accept a guess, and
+  // the fixed list keeps its order so the number shortcuts don't move.
+  const suggestedLabels = document.getElementById('suggestedLabels');
+  const suggestedButtons = document.getElementById('suggestedLabelButtons');
+  const labelMap = getLabelMap(labels);
+  const suggestions = (await getLabelSuggestions(pendingBlock)).slice(0, MAX_SUGGESTED_LABELS);
+  suggestedButtons.innerHTML = '';
+  suggestions.forEach((suggestion, index) => {
+    const button = createLabelButton(labelMap[suggestion.labelId]);
+    if (index === 0) {
+      button.classList.add('suggested');
+      button.title = 'Most likely, from your history';
+    }
+    suggestedButtons.appendChild(button);
+  });
+  suggestedLabels.style.display = suggestions.length > 0 ? 'block' : 'none';
+  
   // Handle note input character count
   noteInput.oninput = () => {
     const count = noteInput.value.length;
@@ -156,8 +431,8 @@ async function showTaggingScreen() {
     }
   };
   
-  // Handle submit
-  submitBtn.onclick = async () => {
+  // Save the first `count` pending blocks with the selected label
+  const labelBlocks = async (count) => {
     if (!selectedLabel) {
       alert('Please select a label.');
       return;
@@ -168,36 +443,72 @@ async function showTaggingScreen() {
       return;
     }
     
-    // Get today's priority
-    const todayPriority = await getTodayPriority();
-    
-    // Save the time block
-    const timeBlock = {
-      start: pendingBlock.start,
-      end: pendingBlock.end,
-      label: selectedLabel,
+    pendingBlocks = await labelPendingBlocks(count, {
+      labelId: selectedLabel,
       note: noteInput.value.trim() || null,
-      dailyPriority: todayPriority
-    };
-    
-    await saveTimeBlock(timeBlock);
-    
-    // Clear pending block
-    await chrome.storage.local.set({ 
-      pendingBlock: null
+      priorityId: attributionButtons.querySelector('input:checked').value || null
     });
     
+    if (pendingBlocks.length > 0) {
+      // Move on to the next missed block
+      await showTaggingScreen();
+      return;
+    }
+    
     // Clear badge and notification
     chrome.action.setBadgeText({ text: '' });
-    chrome.notifications.clear('timeBlockInterrupt');
+    chrome.notifications.clear(INTERRUPT_NOTIFICATION_ID);
     
     // Schedule next interrupt (only if timer is still running)
     // The background script will handle restarting the timer if it's running
     chrome.runtime.sendMessage({ action: 'scheduleNextInterrupt' });
     
+    if (IS_INTERRUPT_TAB) {
+      await closeInterruptTab();
+      return;
+    }
+    
     // Show main menu
     await showMainMenu();
   };
+  
+  // Keyboard: 1-9 pick a label, Tab jumps to the note, Enter submits
+  document.onkeydown = (event) => {
+    if (event.ctrlKey || event.metaKey || event.altKey) {
+      return;
+    }
+    
+    // Enter on the apply-all button keeps its own meaning
+    if (event.key === 'Enter' && !event.shiftKey && document.activeElement !== applyAllBtn) {
+      if (selectedLabel) {
+        event.preventDefault();
+        submitBtn.click();
+      }
+      return;
+    }
+    
+    if (event.key === 'Tab' && !event.shiftKey && document.activeElement !== noteInput) {
+      event.preventDefault();
+      noteInput.focus();
+      return;
+    }
+    
+    // Digits typed into the note are part of the note
+    if (document.activeElement === noteInput) {
+      return;
+    }
+    
+    const labelNumber = parseInt(event.key, 10);
+    const button = labelButtonsContainer.children[labelNumber - 1];
+    if (button) {
+      event.preventDefault();
+      button.click();
+    }
+  };
+  
+  // Handle submit
+  submitBtn.onclick = () => labelBlocks(1);
+  applyAllBtn.onclick = () => labelBlocks(pendingBlocks.length);
 }
 
 // Timer status update interval
@@ -233,11 +544,15 @@ async function showMainMenu() {
   const viewDataBtn = document.getElementById('viewData');
   const viewDailyBtn = document.getElementById('viewDailyReview');
   const viewWeeklyBtn = document.getElementById('viewWeeklyReview');
+  const viewHistoryBtn = document.getElementById('viewPriorityHistory');
+  const viewReportsBtn = document.getElementById('viewReports');
   const viewSettingsBtn = document.getElementById('viewSettings');
   
   if (viewDataBtn) viewDataBtn.onclick = showDataView;
-  if (viewDailyBtn) viewDailyBtn.onclick = showDailyReview;
-  if (viewWeeklyBtn) viewWeeklyBtn.onclick = showWeeklyReview;
+  if (viewDailyBtn) viewDailyBtn.onclick = () => showDailyReview();
+  if (viewWeeklyBtn) viewWeeklyBtn.onclick = () => showWeeklyReview();
+  if (viewHistoryBtn) viewHistoryBtn.onclick = showPriorityHistory;
+  if (viewReportsBtn) viewReportsBtn.onclick = () => showReports();
   if (viewSettingsBtn) viewSettingsBtn.onclick = showSettingsScreen;
   
   // Set up timer control handlers
@@ -274,6 +589,22 @@ async function showMainMenu() {
   } else {
     console.error('Stop button not found');
   }
+  
+  // Pause asks for a reason before pausing
+  const pauseBtn = document.getElementById('pauseTimer');
+  const pauseReasons = document.getElementById('pauseReasons');
+  pauseReasons.innerHTML = '';
+  PAUSE_REASONS.forEach(reason => {
+    const button = document.createElement('button');
+    button.className = 'pause-reason-button';
+    button.textContent = reason;
+    button.onclick = () => pauseTimer(reason);
+    pauseReasons.appendChild(button);
+  });
+  pauseBtn.onclick = () => {
+    pauseReasons.style.display = pauseReasons.style.display === 'none' ? 'flex' : 'none';
+  };
+  document.getElementById('resumeTimer').onclick = resumeTimer;
 }
 
 /**
@@ -293,8 +624,8 @@ async function updateTimerUI() {
     
     const isRunning = response.isRunning || false;
     const timerStart = response.timerStart || null;
-    const pendingBlock = response.pendingBlock || null;
-    console.log('Timer state - isRunning:', isRunning, 'timerStart:', timerStart, 'pendingBlock:', pendingBlock);
+    const pendingBlocks = response.pendingBlocks || [];
+    console.log('Timer state - isRunning:', isRunning, 'timerStart:', timerStart, 'pendingBlocks:', pendingBlocks);
     
     const startBtn = document.getElementById('startTimer');
     const stopBtn = document.getElementById('stopTimer');
@@ -305,13 +636,32 @@ async function updateTimerUI() {
       return;
     }
     
+    const pauseBtn = document.getElementById('pauseTimer');
+    const pauseReasons = document.getElementById('pauseReasons');
+    const resumeBtn = document.getElementById('resumeTimer');
+    const canPause = isRunning && !response.pausedAt && pendingBlocks.length === 0;
+    pauseBtn.style.display = canPause ? 'block' : 'none';
+    resumeBtn.style.display = isRunning && response.pausedAt ? 'block' : 'none';
+    if (!canPause) {
+      pauseReasons.style.display = 'none';
+    }
+    
     if (isRunning) {
       startBtn.style.display = 'none';
       stopBtn.style.display = 'block';
       
-      if (pendingBlock) {
+      if (pendingBlocks.length > 0) {
         statusDiv.textContent = '⏸ Timer paused - label pending block';
         statusDiv.className = 'timer-status paused';
+      } else if (response.pausedAt) {
+        const paused = Date.now() - response.pausedAt;
+        const minutes = Math.floor(paused / 60000);
+        const seconds = Math.floor((paused % 60000) / 1000);
+        statusDiv.textContent = `⏸ Paused (${response.pauseReason}) - ${minutes}:${seconds.toString().padStart(2, '0')}`;
+        statusDiv.className = 'timer-status paused';
+      } else if (response.idleSince) {
+        statusDiv.textContent = '⏸ Away - timer resumes on activity';
+        statusDiv.className = 'timer-status paused';
       } else if (timerStart) {
         const elapsed = Date.now() - timerStart;
         const minutes = Math.floor(elapsed / 60000);
@@ -355,7 +705,7 @@ async function startTimer() {
     } else {
       console.error('=== FAILED TO START TIMER ===');
       console.error('Response:', response);
-      alert('Failed to start timer. Please try again. Check console for details.');
+      alert(response && response.error ? response.error : 'Failed to start timer. Please try again. Check console for details.');
     }
   } catch (error) {
     console.error('=== ERROR IN START TIMER ===');
@@ -385,9 +735,50 @@ async function stopTimer() {
   }
 }
 
+/**
+ * Pause the timer, keeping the partial block
+ */
+async function pauseTimer(reason) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'pauseTimer', reason });
+    if (response && response.success) {
+      document.getElementById('pauseReasons').style.display = 'none';
+      await updateTimerUI();
+    } else {
+      console.error('Failed to pause timer:', response);
+      alert('Failed to pause timer. Please try again.');
+    }
+  } catch (error) {
+    console.error('Error pausing timer:', error);
+    alert('Error pausing timer: ' + error.message);
+  }
+}
+
+/**
+ * Resume the paused block
+ */
+async function resumeTimer() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'resumeTimer' });
+    if (response && response.success) {
+      await updateTimerUI();
+    } else {
+      console.error('Failed to resume timer:', response);
+      alert('Failed to resume timer. Please try again.');
+    }
+  } catch (error) {
+    console.error('Error resuming timer:', error);
+    alert('Error resuming timer: ' + error.message);
+  }
+}
+
 // Current view state
 let currentDataView = 'list';
 
+// How many of the most recent days with blocks the data view loads at a time
+const DATA_VIEW_DAYS = 14;
+let dataViewDayCount = DATA_VIEW_DAYS;
+
 /**
  * Show data view screen
  */
@@ -397,7 +788,24 @@ async function showDataView() {
   screen.style.display = 'block';
   
   const content = document.getElementById('dataViewContent');
-  const blocks = await getTimeBlocks();
+  document.getElementById('blockEditor').style.display = 'none';
+  document.getElementById('manualEntryForm').style.display = 'none';
+  document.getElementById('openManualEntry').onclick = showManualEntryForm;
+  
+  // Only the most recent days are read; older ones load on request
+  const dayKeys = await getBlockIndex();
+  const blocks = await getBlocksForDayKeys(dayKeys.slice(-dataViewDayCount));
+  const showEarlierBtn = document.getElementById('showEarlierDays');
+  showEarlierBtn.style.display = dayKeys.length > dataViewDayCount ? 'block' : 'none';
+  showEarlierBtn.onclick = () => {
+    dataViewDayCount += DATA_VIEW_DAYS;
+    showDataView();
+  };
+  
+  // Export reads the chosen date range itself, not just the days shown
+  document.getElementById('exportCsv').onclick = () => exportBlocks('csv');
+  document.getElementById('exportJson').onclick = () => exportBlocks('json');
+  document.getElementById('exportIcs').onclick = () => exportBlocks('ics');
   
   if (blocks.length === 0) {
     content.innerHTML = '<p class="empty-state">No time blocks recorded yet. Start the timer to begin tracking.</p>';
@@ -439,8 +847,51 @@ async function showDataView() {
   await renderDataView(blocks);
 }
 
+/**
+ * Download blocks in the chosen date range as CSV, JSON or iCalendar
+ */
+async function exportBlocks(format) {
+  const from = document.getElementById('exportFrom').value;
+  const to = document.getElementById('exportTo').value;
+  if (from && to && from > to) {
+    alert('The start date must be before the end date.');
+    return;
+  }
+  
+  const selected = await getBlocksInDateRange(from, to);
+  if (selected.length === 0) {
+    alert('No time blocks in this date range.');
+    return;
+  }
+  
+  const labels = await getLabels();
+  const range = from || to ? `-${from || 'start'}-to-${to || toDateInputValue(new Date())}` : '';
+  if (format === 'csv') {
+    downloadFile(`time-blocks${range}.csv`, blocksToCsv(selected, labels), 'text/csv');
+  } else if (format === 'ics') {
+    downloadFile(`time-blocks${range}.ics`, blocksToIcs(selected, labels), 'text/calendar');
+  } else {
+    downloadFile(`time-blocks${range}.json`, blocksToJson(selected, labels), 'application/json');
+  }
+}
+
+/**
+ * Trigger a file download from the popup
+ */
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
 // Store the event handler reference so we can remove it
 let dateHeaderClickHandler = null;
+let blockActionHandler = null;
 
 /**
  * Render data view based on current view mode
@@ -453,6 +904,28 @@ async function renderDataView(blocks) {
     content.removeEventListener('click', dateHeaderClickHandler);
     dateHeaderClickHandler = null;
   }
+  if (blockActionHandler) {
+    content.removeEventListener('click', blockActionHandler);
+    blockActionHandler = null;
+  }
+  
+  // Edit and delete buttons (list view) and block cells (table view) carry the block's start time
+  blockActionHandler = async (e) => {
+    const deleteTarget = e.target.closest('[data-delete-start]');
+    const editTarget = e.target.closest('[data-start]');
+    if (deleteTarget) {
+      e.stopPropagation();
+      await confirmDeleteBlock(Number(deleteTarget.getAttribute('data-delete-start')));
+    } else if (editTarget) {
+      e.stopPropagation();
+      const start = Number(editTarget.getAttribute('data-start'));
+      const block = blocks.find(b => new Date(b.start).getTime() === start);
+      if (block) {
+        await showBlockEditor(block);
+      }
+    }
+  };
+  content.addEventListener('click', blockActionHandler);
   
   if (currentDataView === 'table') {
     content.innerHTML = await renderTableView(blocks);
@@ -493,8 +966,25 @@ async function renderDataView(blocks) {
  * Render list view
  */
 async function renderListView(blocks) {
-  // Get current labels
+  // Get current labels, archived ones included for older blocks
   const labels = await getLabels();
+  const labelMap = getLabelMap(labels);
+  const labelColors = {};
+  labels.forEach(label => labelColors[label.name] = label.color);
+  
+  // Group pauses by date so they show between the blocks; only the
+  // days being shown are read
+  const starts = blocks.map(block => new Date(block.start).getTime());
+  const ends = blocks.map(block => new Date(block.end).getTime());
+  const pauses = blocks.length > 0 ? await getPausesBetween(Math.min(...starts), Math.max(...ends)) : [];
+  const pausesByDate = {};
+  pauses.forEach(pause => {
+    const date = new Date(pause.start).toDateString();
+    if (!pausesByDate[date]) {
+      pausesByDate[date] = [];
+    }
+    pausesByDate[date].push({ ...pause, isPause: true });
+  });
   
   // Group blocks by date
   const blocksByDate = {};
@@ -515,18 +1005,12 @@ async function renderListView(blocks) {
   
   sortedDates.forEach((date, index) => {
     const dateBlocks = blocksByDate[date];
-    const totalMinutes = dateBlocks.length * 15;
-    const totalHours = (totalMinutes / 60).toFixed(1);
-    
-    // Count by label (include all labels from storage and any that exist in blocks)
-    const labelCounts = {};
-    labels.forEach(label => labelCounts[label] = 0);
-    dateBlocks.forEach(block => {
-      if (!labelCounts.hasOwnProperty(block.label)) {
-        labelCounts[block.label] = 0;
-      }
-      labelCounts[block.label]++;
-    });
+    const totalHours = dateBlocks
+      .reduce((sum, block) => sum + getBlockHours(block), 0)
+      .toFixed(1);
+    
+    // Sum hours by label (include all labels from storage and any that exist in blocks)
+    const labelHours = getLabelHours(dateBlocks, labels);
     
     // Create a safe dateId using index to avoid special character issues
     const dateId = `date-${index}`;
@@ -541,17 +1025,19 @@ async function renderListView(blocks) {
         </div>
         <div class="date-content expanded" id="${dateId}">
           <div class="label-summary">
-            ${Object.entries(labelCounts)
-              .filter(([_, count]) => count > 0)
-              .map(([label, count]) => {
-                const hours = (count * 0.25).toFixed(1);
+            ${Object.entries(labelHours)
+              .filter(([_, hours]) => hours > 0)
+              .map(([label, total]) => {
+                const hours = total.toFixed(1);
                 const labelClass = label.toLowerCase().replace(/\s+/g, '-');
-                return `<span class="label-badge label-${labelClass}">${escapeHtml(label)}: ${hours}h</span>`;
+                const color = labelColors[label] || DEFAULT_LABEL_COLORS.Other;
+                return `<span class="label-badge label-${labelClass}" style="border-color: ${escapeHtml(color)}">${escapeHtml(label)}: ${hours}h</span>`;
               })
               .join('')}
           </div>
           <div class="blocks-list">
             ${dateBlocks
+              .concat(pausesByDate[date] || [])
               .sort((a, b) => new Date(b.start) - new Date(a.start))
               .map(block => {
                 const startTime = new Date(block.start).toLocaleTimeString('en-US', { 
@@ -564,12 +1050,29 @@ async function renderListView(blocks) {
                   minute: '2-digit',
                   hour12: true 
                 });
-                const labelClass = block.label.toLowerCase().replace(/\s+/g, '-');
+                if (block.isPause) {
+                  return `
+                    <div class="block-item pause-item">
+                      <div class="block-time">${startTime} - ${endTime}</div>
+                      <div class="block-label">Paused: ${escapeHtml(block.reason)}</div>
+                    </div>
+                  `;
+                }
+                const labelName = getLabelName(labelMap, block.labelId);
+                const labelClass = labelName.toLowerCase().replace(/\s+/g, '-');
+                const labelColor = getLabelColor(labelMap, block.labelId);
+                const awayMinutes = Math.round(getAwayHours(block) * 60);
+                const blockStart = new Date(block.start).getTime();
                 return `
                   <div class="block-item">
-                    <div class="block-time">${startTime} - ${endTime}</div>
-                    <div class="block-label label-${labelClass}">${escapeHtml(block.label)}</div>
+                    <div class="block-time">${startTime} - ${endTime}${block.manual ? '<span class="block-edited">manual</span>' : ''}${block.editedAt ? '<span class="block-edited">edited</span>' : ''}</div>
+                    <div class="block-label label-${labelClass}" style="border-color: ${escapeHtml(labelColor)}">${escapeHtml(labelName)}</div>
+                    ${awayMinutes > 0 ? `<div class="block-away">Away ${awayMinutes} min</div>` : ''}
                     ${block.note ? `<div class="block-note">${escapeHtml(block.note)}</div>` : ''}
+                    <div class="block-actions">
+                      <button class="label-edit-button" data-start="${blockStart}">Edit</button>
+                      <button class="label-delete-button" data-delete-start="${blockStart}">Delete</button>
+                    </div>
                   </div>
                 `;
               })
@@ -580,9 +1083,181 @@ async function renderListView(blocks) {
     `;
   });
   
+  html += renderAuditTrail(await getAuditTrail(), labelMap);
+  
   return html;
 }
 
+/**
+ * Render the audit trail of edits and deletions as a collapsible group
+ */
+function renderAuditTrail(trail, labelMap) {
+  if (trail.length === 0) {
+    return '';
+  }
+  
+  const timeOptions = { hour: 'numeric', minute: '2-digit', hour12: true };
+  const describe = block => {
+    const startTime = new Date(block.start).toLocaleTimeString('en-US', timeOptions);
+    const endTime = new Date(block.end).toLocaleTimeString('en-US', timeOptions);
+    return `${escapeHtml(getLabelName(labelMap, block.labelId))}, ${startTime} - ${endTime}${block.note ? ` ("${escapeHtml(block.note)}")` : ''}`;
+  };
+  
+  return `
+    <div class="date-group">
+      <div class="date-header" data-date-id="audit-trail">
+        <div class="date-header-content">
+          <span class="expand-icon" id="icon-audit-trail">▼</span>
+          <h3>Change History</h3>
+        </div>
+        <span class="date-summary">${trail.length} changes</span>
+      </div>
+      <div class="date-content expanded" id="audit-trail">
+        <div class="blocks-list">
+          ${[...trail].reverse().map(entry => `
+            <div class="block-item audit-entry">
+              <div class="block-time">${formatDate(entry.editedAt)} ${new Date(entry.editedAt).toLocaleTimeString('en-US', timeOptions)}</div>
+              ${entry.action === 'delete'
+                ? `Deleted ${describe(entry.before)}`
+                : `Changed ${describe(entry.before)} to ${describe(entry.after)}`}
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Show the editor for a saved block
+ */
+async function showBlockEditor(block) {
+  const editor = document.getElementById('blockEditor');
+  const startInput = document.getElementById('editStart');
+  const endInput = document.getElementById('editEnd');
+  const labelSelect = document.getElementById('editLabel');
+  const noteInput = document.getElementById('editNote');
+  const start = new Date(block.start).getTime();
+  
+  const toTimeValue = timestamp => new Date(timestamp).toTimeString().substring(0, 5);
+  const originalStartValue = toTimeValue(block.start);
+  const originalEndValue = toTimeValue(block.end);
+  
+  document.getElementById('blockEditorTitle').textContent = `Edit block on ${formatDate(block.start)}`;
+  startInput.value = originalStartValue;
+  endInput.value = originalEndValue;
+  noteInput.value = block.note || '';
+  
+  // Offer active labels plus the block's own, in case it was archived since
+  const labels = await getLabels();
+  const options = labels.filter(label => !label.archived || label.id === block.labelId);
+  labelSelect.innerHTML = options
+    .map(label => `<option value="${escapeHtml(label.id)}">${escapeHtml(label.name)}${label.archived ? ' (archived)' : ''}</option>`)
+    .join('');
+  labelSelect.value = block.labelId;
+  
+  editor.style.display = 'block';
+  editor.scrollIntoView({ block: 'nearest' });
+  
+  document.getElementById('editSave').onclick = async () => {
+    const changes = {
+      labelId: labelSelect.value,
+      note: noteInput.value.trim() || null
+    };
+    // Untouched times keep their original seconds
+    if (startInput.value !== originalStartValue) {
+      changes.start = getTimeOnDate(new Date(block.start), startInput.value);
+    }
+    if (endInput.value !== originalEndValue) {
+      // An end at or before the start means the block runs past midnight
+      const startTime = changes.start || new Date(block.start).getTime();
+      changes.end = getTimeOnDate(new Date(block.start), endInput.value);
+      if (changes.end <= startTime) {
+        const nextDay = new Date(block.start);
+        nextDay.setDate(nextDay.getDate() + 1);
+        changes.end = getTimeOnDate(nextDay, endInput.value);
+      }
+    }
+    
+    try {
+      await updateTimeBlock(start, changes);
+      editor.style.display = 'none';
+      await showDataView();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+  document.getElementById('editDelete').onclick = () => confirmDeleteBlock(start);
+  document.getElementById('editCancel').onclick = () => {
+    editor.style.display = 'none';
+  };
+}
+
+/**
+ * Show the form for adding untracked time by hand
+ */
+async function showManualEntryForm() {
+  const form = document.getElementById('manualEntryForm');
+  const dateInput = document.getElementById('manualDate');
+  const startInput = document.getElementById('manualStart');
+  const endInput = document.getElementById('manualEnd');
+  const labelSelect = document.getElementById('manualLabel');
+  const noteInput = document.getElementById('manualNote');
+  
+  dateInput.value = toDateInputValue(new Date());
+  dateInput.max = dateInput.value;
+  startInput.value = '';
+  endInput.value = '';
+  noteInput.value = '';
+  
+  const labels = await getActiveLabels();
+  labelSelect.innerHTML = labels
+    .map(label => `<option value="${escapeHtml(label.id)}">${escapeHtml(label.name)}</option>`)
+    .join('');
+  
+  form.style.display = 'block';
+  startInput.focus();
+  
+  document.getElementById('manualSave').onclick = async () => {
+    if (!dateInput.value || !startInput.value || !endInput.value) {
+      alert('Please pick a date, a start time and an end time.');
+      return;
+    }
+    
+    try {
+      await addManualEntry({
+        date: dateInput.value,
+        startTime: startInput.value,
+        endTime: endInput.value,
+        labelId: labelSelect.value,
+        note: noteInput.value.trim()
+      });
+      await showDataView();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+  document.getElementById('manualCancel').onclick = () => {
+    form.style.display = 'none';
+  };
+}
+
+/**
+ * Delete a saved block after confirmation
+ */
+async function confirmDeleteBlock(start) {
+  if (!confirm('Delete this time block? The original stays in the change history.')) {
+    return;
+  }
+  try {
+    await deleteTimeBlock(start);
+    document.getElementById('blockEditor').style.display = 'none';
+    await showDataView();
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
 /**
  * Render table view (Outlook calendar style)
  */
@@ -591,6 +1266,8 @@ async function renderTableView(blocks) {
     return '<p class="empty-state">No time blocks recorded yet.</p>';
   }
   
+  const labelMap = getLabelMap(await getLabels());
+  
   // Get date range
   const dates = blocks.map(block => new Date(block.start));
   const minDate = new Date(Math.min(...dates));
@@ -616,12 +1293,11 @@ async function renderTableView(blocks) {
     blocksByDate[dateKey].push(block);
   });
   
-  // Create time slots (15-minute intervals from 6 AM to 11 PM)
+  // Create time slots one interval long, from 6 AM to midnight
+  const { intervalMinutes: slotMinutes } = await getSettings();
   const timeSlots = [];
-  for (let hour = 6; hour <= 23; hour++) {
-    for (let minute = 0; minute < 60; minute += 15) {
-      timeSlots.push({ hour, minute });
-    }
+  for (let minutes = 6 * 60; minutes < 24 * 60; minutes += slotMinutes) {
+    timeSlots.push({ hour: Math.floor(minutes / 60), minute: minutes % 60 });
   }
   
   // Limit to last 7 days for better display
@@ -654,12 +1330,12 @@ async function renderTableView(blocks) {
   timeSlots.forEach((slot, slotIndex) => {
     html += '<tr>';
     
-    // Time column
-    if (slot.minute === 0) {
-      const timeStr = slot.hour === 0 ? '12 AM' : 
-                     slot.hour < 12 ? `${slot.hour} AM` : 
-                     slot.hour === 12 ? '12 PM' : 
-                     `${slot.hour - 12} PM`;
+    // Time column, labeled on the first slot of each hour
+    if (slotIndex === 0 || slot.hour !== timeSlots[slotIndex - 1].hour) {
+      const time = new Date(2000, 0, 1, slot.hour, slot.minute);
+      const timeStr = time.toLocaleTimeString('en-US', slot.minute === 0
+        ? { hour: 'numeric', hour12: true }
+        : { hour: 'numeric', minute: '2-digit', hour12: true });
       html += `<td class="time-column time-label">${timeStr}</td>`;
     } else {
       html += '<td class="time-column"></td>';
@@ -688,7 +1364,7 @@ async function renderTableView(blocks) {
       const slotStart = new Date(date);
       slotStart.setHours(slot.hour, slot.minute, 0, 0);
       const slotEnd = new Date(slotStart);
-      slotEnd.setMinutes(slotEnd.getMinutes() + 15);
+      slotEnd.setMinutes(slotEnd.getMinutes() + slotMinutes);
       
       const overlappingBlocks = dateBlocks.filter(block => {
         const blockStart = new Date(block.start);
@@ -698,7 +1374,9 @@ async function renderTableView(blocks) {
       
       if (overlappingBlocks.length > 0) {
         const block = overlappingBlocks[0]; // Show first overlapping block
-        const labelClass = block.label.toLowerCase().replace(/\s+/g, '-');
+        const labelName = getLabelName(labelMap, block.labelId);
+        const labelClass = labelName.toLowerCase().replace(/\s+/g, '-');
+        const labelColor = getLabelColor(labelMap, block.labelId);
         const startTime = new Date(block.start).toLocaleTimeString('en-US', { 
           hour: 'numeric', 
           minute: '2-digit',
@@ -710,18 +1388,16 @@ async function renderTableView(blocks) {
           hour12: true 
         });
         
-        // Calculate rowspan (how many 15-min slots this block spans)
+        // Calculate rowspan (how many slots this block spans); blocks that
+        // started before the first slot are drawn from there
         const blockStart = new Date(block.start);
         const blockEnd = new Date(block.end);
-        const durationMinutes = (blockEnd - blockStart) / (1000 * 60);
-        const rowspan = Math.max(1, Math.round(durationMinutes / 15));
+        const drawnStart = Math.max(blockStart, slotStart);
+        const durationMinutes = (blockEnd - drawnStart) / (1000 * 60);
+        const rowspan = Math.min(Math.max(1, Math.round(durationMinutes / slotMinutes)), timeSlots.length - slotIndex);
         
         // Only render if this is the first slot of the block
-        const blockSlotStart = new Date(blockStart);
-        blockSlotStart.setMinutes(Math.floor(blockStart.getMinutes() / 15) * 15, 0, 0);
-        blockSlotStart.setHours(blockSlotStart.getHours(), blockSlotStart.getMinutes(), 0, 0);
-        
-        if (Math.abs(slotStart.getTime() - blockSlotStart.getTime()) < 1000) {
+        if (blockStart >= slotStart || slotIndex === 0) {
           // Mark subsequent cells as occupied
           for (let i = 1; i < rowspan; i++) {
             const nextSlotIndex = slotIndex + i;
@@ -731,9 +1407,9 @@ async function renderTableView(blocks) {
           }
           
           html += `<td class="calendar-cell has-block" rowspan="${rowspan}">
-            <div class="calendar-block label-${labelClass}">
+            <div class="calendar-block label-${labelClass}" style="border-left-color: ${escapeHtml(labelColor)}" data-start="${blockStart.getTime()}" title="Click to edit">
               <div class="block-time-small">${startTime} - ${endTime}</div>
-              <div class="block-label-small">${escapeHtml(block.label)}</div>
+              <div class="block-label-small">${escapeHtml(labelName)}</div>
               ${block.note ? `<div class="block-note-small" title="${escapeHtml(block.note)}">${escapeHtml(block.note.substring(0, 20))}${block.note.length > 20 ? '...' : ''}</div>` : ''}
             </div>
           </td>`;
@@ -763,54 +1439,199 @@ function escapeHtml(text) {
 }
 
 /**
- * Show daily review screen
+ * Show daily review screen for one day (a toDateString() key)
+ * Defaults to today; previous/next page through earlier days.
  */
-async function showDailyReview() {
+async function showDailyReview(day) {
   hideAllScreens();
   const screen = document.getElementById('dailyReview');
   screen.style.display = 'block';
   
+  const today = new Date().toDateString();
+  if (!day) {
+    day = today;
+  }
+  const isToday = day === today;
+  const date = new Date(day);
+  
+  document.getElementById('dailyReviewTitle').textContent = isToday ? 'Today\'s Review' : 'Daily Review';
+  document.getElementById('dayRangeTitle').textContent = formatDate(day);
+  const nextDayBtn = document.getElementById('nextDay');
+  nextDayBtn.disabled = isToday;
+  nextDayBtn.onclick = () => showDailyReview(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).toDateString());
+  document.getElementById('prevDay').onclick = () => showDailyReview(new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1).toDateString());
+  
   const priorityDisplay = document.getElementById('dailyPriorityDisplay');
   const insightBox = document.getElementById('dailyInsight');
   
-  const priority = await getTodayPriority();
-  const insight = await generateDailyInsight();
-  
-  if (priority) {
-    priorityDisplay.innerHTML = `<strong>Today's Priority:</strong> ${priority}`;
+  const priorities = await getPrioritiesForDate(day);
+  const blocks = await getDayBlocks(date);
+  const insight = await generateDailyInsight(day);
+  const labels = await getLabels();
+  const labelMap = getLabelMap(labels);
+  
+  if (priorities.length > 0) {
+    priorityDisplay.innerHTML = `<strong>${isToday ? 'Today\'s ' : ''}Priorities:</strong> ` + priorities.map((priority, index) => {
+      const labelNames = priority.labelIds.map(labelId => getLabelName(labelMap, labelId));
+      return `${index + 1}. ${escapeHtml(priority.text)}` +
+        (labelNames.length > 0 ? ` <small>(counts: ${labelNames.map(escapeHtml).join(', ')})</small>` : '');
+    }).join('<br>');
   } else {
-    priorityDisplay.innerHTML = `<strong>Today's Priority:</strong> Not set yet.`;
+    priorityDisplay.innerHTML = isToday
+      ? `<strong>Today's Priority:</strong> Not set yet.`
+      : `<strong>Priority:</strong> None set.`;
   }
   
+  // Time attributed to each priority on the tagging screen
+  const { perPriority, unattributedHours } = getHoursPerPriority(blocks, priorities);
+  document.getElementById('dailyPriorityHours').textContent = perPriority.length > 0
+    ? 'Time per priority: ' + perPriority
+      .map(({ priority, hours }, index) => `${index + 1}. ${priority.text} ${hours.toFixed(1)}h`)
+      .concat(`none ${unattributedHours.toFixed(1)}h`)
+      .join(', ')
+    : '';
+  
+  // Mark the day's priorities; saved as soon as they change
+  const statusContainer = document.getElementById('dailyPriorityStatus');
+  renderPriorityStatusControls(statusContainer, priorities, false);
+  statusContainer.querySelectorAll('.priority-status-select').forEach(select => {
+    select.onchange = async () => {
+      await setPriorityStatuses(day, readPriorityStatusControls(statusContainer).statuses);
+    };
+  });
+  
   if (insight) {
     insightBox.textContent = insight;
-  } else {
+  } else if (isToday) {
     insightBox.textContent = 'Not enough data yet. Complete a few time blocks to see insights.';
+  } else {
+    insightBox.textContent = 'Not enough data for this day.';
   }
   
+  // Hours per label
+  const labelHours = getLabelHours(blocks, labels);
+  document.getElementById('dailyLabelHours').innerHTML = Object.entries(labelHours)
+    .filter(([, hours]) => hours > 0)
+    .map(([name, hours]) => {
+      const label = labels.find(candidate => candidate.name === name);
+      const color = label ? label.color : DEFAULT_LABEL_COLORS.Other;
+      return `<span class="label-badge" style="border-color: ${escapeHtml(color)}">${escapeHtml(name)}: ${hours.toFixed(1)}h</span>`;
+    })
+    .join('');
+  
+  // Pauses taken that day, by reason
+  const dayEnd = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+  const pauses = await getPausesBetween(date.getTime(), Math.min(dayEnd.getTime(), Date.now()));
+  const pauseHours = getPauseHours(pauses);
+  document.getElementById('dailyPauses').textContent = Object.keys(pauseHours).length > 0
+    ? `Paused ${isToday ? 'today' : 'this day'}: ` + Object.entries(pauseHours)
+      .map(([reason, hours]) => `${reason} ${hours.toFixed(1)}h`)
+      .join(', ')
+    : '';
+  
+  // Time added by hand instead of tracked
+  const manualHours = getManualHours(blocks);
+  document.getElementById('dailyManual').textContent = manualHours > 0
+    ? `Backfilled by hand ${isToday ? 'today' : 'this day'}: ${manualHours.toFixed(1)} hours`
+    : '';
+  
+  // Time nobody labeled before the escalation ran out
+  const unaccountedHours = getUnaccountedHours(blocks);
+  document.getElementById('dailyUnaccounted').textContent = unaccountedHours > 0
+    ? `Unaccounted ${isToday ? 'today' : 'this day'}: ${unaccountedHours.toFixed(1)} hours went unlabeled`
+    : '';
+  
+  document.getElementById('dailyTimeline').innerHTML = renderDayTimeline(blocks, pauses, labelMap);
+  
   document.getElementById('closeDailyReview').onclick = showMainMenu;
 }
 
 /**
- * Show weekly review screen
+ * Render a day's blocks and pauses in the order they happened
+ */
+function renderDayTimeline(blocks, pauses, labelMap) {
+  if (blocks.length === 0 && pauses.length === 0) {
+    return '<p class="empty-state">No time tracked this day.</p>';
+  }
+  
+  const formatTime = time => new Date(time).toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true
+  });
+  
+  return blocks
+    .concat(pauses.map(pause => ({ ...pause, isPause: true })))
+    .sort((a, b) => new Date(a.start) - new Date(b.start))
+    .map(block => {
+      if (block.isPause) {
+        return `
+          <div class="block-item pause-item">
+            <div class="block-time">${formatTime(block.start)} - ${formatTime(block.end)}</div>
+            <div class="block-label">Paused: ${escapeHtml(block.reason)}</div>
+          </div>
+        `;
+      }
+      const labelColor = getLabelColor(labelMap, block.labelId);
+      return `
+        <div class="block-item">
+          <div class="block-time">${formatTime(block.start)} - ${formatTime(block.end)}${block.manual ? '<span class="block-edited">manual</span>' : ''}</div>
+          <div class="block-label" style="border-color: ${escapeHtml(labelColor)}">${escapeHtml(getLabelName(labelMap, block.labelId))}</div>
+          ${block.note ? `<div class="block-note">${escapeHtml(block.note)}</div>` : ''}
+        </div>
+      `;
+    })
+    .join('');
+}
+
+/**
+ * Show weekly review screen for one calendar week
+ * Defaults to the current week; previous/next step a whole week at a time.
  */
-async function showWeeklyReview() {
+async function showWeeklyReview(weekStart) {
   hideAllScreens();
   const screen = document.getElementById('weeklyReview');
   screen.style.display = 'block';
   
+  const { weekStartDay } = await getSettings();
+  const currentWeekStart = getWeekStart(new Date(), weekStartDay);
+  if (!weekStart) {
+    weekStart = currentWeekStart;
+  }
+  
   const content = document.getElementById('weeklyContent');
-  const insights = await generateWeeklyInsights();
+  const insights = await generateWeeklyInsights(weekStart);
+  
+  const lastDay = new Date(insights.weekEnd.getFullYear(), insights.weekEnd.getMonth(), insights.weekEnd.getDate() - 1);
+  const rangeFormat = { month: 'short', day: 'numeric', year: 'numeric' };
+  document.getElementById('weekRangeTitle').textContent =
+    `${weekStart.toLocaleDateString('en-US', rangeFormat)} – ${lastDay.toLocaleDateString('en-US', rangeFormat)}`;
+  
+  const nextWeekBtn = document.getElementById('nextWeek');
+  nextWeekBtn.disabled = weekStart.getTime() >= currentWeekStart.getTime();
+  nextWeekBtn.onclick = () => showWeeklyReview(shiftWeek(weekStart, 1));
+  document.getElementById('prevWeek').onclick = () => showWeeklyReview(shiftWeek(weekStart, -1));
   
   let html = '';
   
+  // Total tracked time, split by label
+  const labelEntries = Object.entries(insights.labelHours).filter(([, hours]) => hours > 0);
+  html += `
+    <div class="weekly-item">
+      <h3>Time Tracked</h3>
+      <p>${insights.totalHours.toFixed(1)} hours${labelEntries.length > 0
+        ? ': ' + labelEntries.map(([name, hours]) => `${escapeHtml(name)} ${hours.toFixed(1)}h`).join(', ')
+        : ''}.</p>
+    </div>
+  `;
+  
   // Biggest mismatch
   if (insights.biggestMismatch) {
-    const { day, priority, actual, hours } = insights.biggestMismatch;
+    const { day, priority, priorityHours, otherHours, percent } = insights.biggestMismatch;
     html += `
       <div class="weekly-item">
         <h3>Biggest Mismatch</h3>
-        <p>On ${formatDate(day)}, you said "${priority}" mattered most, but spent ${hours.toFixed(1)} hours in ${actual.toLowerCase()}.</p>
+        <p>On ${formatDate(day)}, you said ${escapeHtml(priority)} mattered most, but spent ${otherHours.toFixed(1)} hours on everything else and only ${priorityHours.toFixed(1)} hours (${percent}%) on your priorities.</p>
       </div>
     `;
   } else {
@@ -822,6 +1643,17 @@ async function showWeeklyReview() {
     `;
   }
   
+  // Time on priorities versus everything else
+  const { priorityHours, otherHours, percent } = insights.priorityTime;
+  if (priorityHours + otherHours > 0) {
+    html += `
+      <div class="weekly-item">
+        <h3>Time on Priorities</h3>
+        <p>${priorityHours.toFixed(1)} hours on your priorities (${percent}%), ${otherHours.toFixed(1)} hours on everything else (${100 - percent}%).</p>
+      </div>
+    `;
+  }
+  
   // Longest avoidance streak
   html += `
     <div class="weekly-item">
@@ -830,6 +1662,37 @@ async function showWeeklyReview() {
     </div>
   `;
   
+  // Time paused
+  const pauseEntries = Object.entries(insights.pauseHours);
+  if (pauseEntries.length > 0) {
+    html += `
+      <div class="weekly-item">
+        <h3>Time Paused</h3>
+        <p>${pauseEntries.map(([reason, hours]) => `${escapeHtml(reason)}: ${hours.toFixed(1)} hours`).join(', ')}.</p>
+      </div>
+    `;
+  }
+  
+  // Manually backfilled time
+  if (insights.manualHours > 0) {
+    html += `
+      <div class="weekly-item">
+        <h3>Backfilled Time</h3>
+        <p>${insights.manualHours.toFixed(1)} hours were added by hand instead of tracked.</p>
+      </div>
+    `;
+  }
+  
+  // Ignored interrupts
+  if (insights.unaccountedHours > 0) {
+    html += `
+      <div class="weekly-item">
+        <h3>Unaccounted Time</h3>
+        <p>${insights.unaccountedHours.toFixed(1)} hours were never labeled and are recorded as Unaccounted.</p>
+      </div>
+    `;
+  }
+  
   // Suggestion
   html += `
     <div class="weekly-item">
@@ -843,6 +1706,176 @@ async function showWeeklyReview() {
   document.getElementById('closeWeeklyReview').onclick = showMainMenu;
 }
 
+/**
+ * Show priority history screen
+ * Completion rate per week against the hours logged toward each priority
+ */
+async function showPriorityHistory() {
+  hideAllScreens();
+  const screen = document.getElementById('priorityHistory');
+  screen.style.display = 'block';
+  document.getElementById('closePriorityHistory').onclick = showMainMenu;
+  
+  const content = document.getElementById('priorityHistoryContent');
+  const history = await getPriorityHistory();
+  const { weekStartDay } = await getSettings();
+  if (history.length === 0) {
+    content.innerHTML = '<p class="empty-state">No priorities declared yet.</p>';
+    return;
+  }
+  
+  const overallRate = getCompletionRate(history.flatMap(entry => entry.priorities));
+  let html = `
+    <div class="weekly-item">
+      <h3>Completion Rate</h3>
+      <p>${overallRate === null
+        ? 'No priorities marked yet. Mark them in Today\'s Review or when setting the next day\'s priorities.'
+        : `${overallRate}% of your marked priorities were achieved (partial counts half).`}</p>
+    </div>
+  `;
+  
+  // Newest week first, days newest first within it
+  const weeks = [];
+  history.forEach(entry => {
+    const weekStart = getWeekStart(entry.day, weekStartDay).toDateString();
+    const week = weeks.find(candidate => candidate.weekStart === weekStart);
+    if (week) {
+      week.days.push(entry);
+    } else {
+      weeks.push({ weekStart, days: [entry] });
+    }
+  });
+  
+  weeks.forEach(({ weekStart, days }) => {
+    const priorities = days.flatMap(entry => entry.priorities);
+    const rate = getCompletionRate(priorities);
+    const hours = priorities.reduce((sum, priority) => sum + priority.hours, 0);
+    html += `
+      <div class="weekly-item">
+        <h3>Week of ${formatDate(weekStart)}</h3>
+        <p>${rate === null ? 'Not marked' : `${rate}% complete`} · ${hours.toFixed(1)} hours logged toward priorities</p>
+        ${days.map(({ day, priorities: dayPriorities }) => `
+          <div class="priority-history-day">
+            <div class="block-time">${formatDate(day)}</div>
+            ${dayPriorities.map((priority, index) => `
+              <div class="priority-history-entry">
+                ${index + 1}. ${escapeHtml(priority.text)}
+                <span class="block-edited">${PRIORITY_STATUSES[priority.status] ? PRIORITY_STATUSES[priority.status].name : 'Not marked'}</span>
+                ${priority.carriedFrom ? '<span class="block-edited">carried</span>' : ''}
+                · ${priority.hours.toFixed(1)}h
+              </div>
+            `).join('')}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  });
+  
+  content.innerHTML = html;
+}
+
+/**
+ * Show reports screen: per-label hours for a month, quarter or custom
+ * range, compared with the calendar period (or, for a custom range, the
+ * days of equal length) before it
+ */
+async function showReports(period = 'month', range = getPeriodRange(period, new Date())) {
+  hideAllScreens();
+  const screen = document.getElementById('reports');
+  screen.style.display = 'block';
+  document.getElementById('closeReports').onclick = showMainMenu;
+  
+  const periodSelect = document.getElementById('reportPeriod');
+  periodSelect.innerHTML = REPORT_PERIODS
+    .map(({ id, name }) => `<option value="${id}">${name}</option>`)
+    .join('');
+  periodSelect.value = period;
+  periodSelect.onchange = () => {
+    // A custom range starts from whatever range was on screen
+    showReports(periodSelect.value, periodSelect.value === 'custom' ? range : getPeriodRange(periodSelect.value, new Date()));
+  };
+  
+  const fromInput = document.getElementById('reportFrom');
+  const toInput = document.getElementById('reportTo');
+  const lastDay = new Date(range.end.getFullYear(), range.end.getMonth(), range.end.getDate() - 1);
+  document.getElementById('reportCustomRange').style.display = period === 'custom' ? 'flex' : 'none';
+  fromInput.value = toDateInputValue(range.start);
+  toInput.value = toDateInputValue(lastDay);
+  fromInput.onchange = toInput.onchange = () => {
+    if (!fromInput.value || !toInput.value || fromInput.value > toInput.value) {
+      return;
+    }
+    showReports('custom', getCustomRange(fromInput.value, toInput.value));
+  };
+  
+  const formatRange = ({ start, end }) => {
+    const last = new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1);
+    const rangeFormat = { month: 'short', day: 'numeric', year: 'numeric' };
+    return `${start.toLocaleDateString('en-US', rangeFormat)} – ${last.toLocaleDateString('en-US', rangeFormat)}`;
+  };
+  
+  document.getElementById('reportRangeTitle').textContent = formatRange(range);
+  const nextReportBtn = document.getElementById('nextReport');
+  nextReportBtn.disabled = range.end.getTime() > Date.now();
+  nextReportBtn.onclick = () => showReports(period, shiftReportRange(period, range, 1));
+  document.getElementById('prevReport').onclick = () => showReports(period, shiftReportRange(period, range, -1));
+  
+  const content = document.getElementById('reportContent');
+  try {
+    const report = await generateReport(range, period);
+    const formatChange = change => `${change >= 0 ? '+' : ''}${change.toFixed(1)}h`;
+    
+    // Say which range the comparison covers
+    const previousName = period === 'custom'
+      ? `the previous ${getReportRangeName(period, report.previousRange)}`
+      : getReportRangeName(period, report.previousRange);
+    
+    let html = `
+      <div class="weekly-item">
+        <h3>Time Tracked</h3>
+        <p>${report.totalHours.toFixed(1)} hours, ${formatChange(report.totalHours - report.previousTotalHours)} compared with ${previousName}, ${formatRange(report.previousRange)} (${report.previousTotalHours.toFixed(1)} hours).</p>
+      </div>
+    `;
+    
+    if (report.labels.length === 0) {
+      html += '<p class="empty-state">No time tracked in either period.</p>';
+      content.innerHTML = html;
+      return;
+    }
+    
+    const colorByName = {};
+    (await getLabels()).forEach(label => colorByName[label.name] = label.color);
+    
+    html += `
+      <div class="weekly-item">
+        <h3>By Label, vs ${previousName}</h3>
+        ${report.labels.map(({ name, hours, previousHours, change, percentChange }) => `
+          <div class="report-row" style="border-color: ${escapeHtml(colorByName[name] || DEFAULT_LABEL_COLORS.Other)}">
+            <span class="report-label">${escapeHtml(name)}</span>
+            <span class="report-hours">${hours.toFixed(1)}h <small>(was ${previousHours.toFixed(1)}h)</small></span>
+            <span class="report-change ${change > 0 ? 'grew' : change < 0 ? 'shrank' : ''}">${formatChange(change)}${percentChange === null ? '' : ` (${percentChange >= 0 ? '+' : ''}${percentChange}%)`}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+    
+    const grew = report.labels.filter(entry => entry.change > 0);
+    const shrank = report.labels.filter(entry => entry.change < 0).reverse();
+    const describe = entries => entries.map(({ name, change }) => `${escapeHtml(name)} (${formatChange(change)})`).join(', ');
+    html += `
+      <div class="weekly-item">
+        <h3>Trend</h3>
+        <p>${grew.length > 0 ? `Grew: ${describe(grew)}.` : 'No label grew.'} ${shrank.length > 0 ? `Shrank: ${describe(shrank)}.` : 'No label shrank.'}</p>
+      </div>
+    `;
+    
+    content.innerHTML = html;
+  } catch (error) {
+    console.error('Error building report:', error);
+    content.innerHTML = '<p class="empty-state">Could not build the report.</p>';
+  }
+}
+
 /**
  * Show settings screen
  */
@@ -851,6 +1884,12 @@ async function showSettingsScreen() {
   const screen = document.getElementById('settingsScreen');
   screen.style.display = 'block';
   
+  await renderIntervalSelect();
+  await renderIdleThresholdSelect();
+  await renderInterruptModeSelect();
+  await renderEscalationSettings();
+  await renderWeekStartSelect();
+  await renderScheduleSettings();
   await renderLabelsList();
   
   // Set up add label handler
@@ -869,12 +1908,18 @@ async function showSettingsScreen() {
     }
     
     const labels = await getLabels();
-    if (labels.includes(labelName)) {
+    const existing = labels.find(label => label.name === labelName);
+    if (existing && (!existing.archived || existing.id === UNACCOUNTED_LABEL_ID)) {
       alert('This label already exists.');
       return;
     }
     
-    labels.push(labelName);
+    // Re-adding an archived label restores it, history included
+    if (existing) {
+      existing.archived = false;
+    } else {
+      labels.push(createLabel(labelName, LABEL_COLOR_PALETTE[labels.length % LABEL_COLOR_PALETTE.length]));
+    }
     await saveLabels(labels);
     newLabelInput.value = '';
     await renderLabelsList();
@@ -887,9 +1932,310 @@ async function showSettingsScreen() {
     }
   };
   
+  // Backup and restore
+  document.getElementById('downloadBackup').onclick = async () => {
+    const backup = await createBackup();
+    downloadFile(`time-tracker-backup-${toDateInputValue(new Date())}.json`, JSON.stringify(backup, null, 2), 'application/json');
+  };
+  document.getElementById('openImport').onclick = showImportScreen;
+  
   document.getElementById('closeSettings').onclick = showMainMenu;
 }
 
+/**
+ * Show import screen for restoring a backup
+ * The preview is recalculated whenever the file or the mode changes
+ */
+function showImportScreen() {
+  hideAllScreens();
+  document.getElementById('importScreen').style.display = 'block';
+  
+  const fileInput = document.getElementById('importFile');
+  const preview = document.getElementById('importPreview');
+  const confirmBtn = document.getElementById('importConfirm');
+  const modeInputs = document.querySelectorAll('input[name="importMode"]');
+  
+  let backup = null;
+  let plan = null;
+  fileInput.value = '';
+  preview.style.display = 'none';
+  confirmBtn.disabled = true;
+  
+  const updatePreview = async () => {
+    plan = null;
+    confirmBtn.disabled = true;
+    if (!backup) {
+      return;
+    }
+    
+    const mode = document.querySelector('input[name="importMode"]:checked').value;
+    const current = await createBackup();
+    plan = planImport(backup, current, mode);
+    const { summary } = plan;
+    
+    const changes = [
+      `${summary.added} new time blocks`,
+      `${summary.conflicts} blocks overlapping yours, ${summary.changed} of them would change`,
+      `${summary.prioritiesAdded} daily priorities added` +
+        (summary.prioritiesReplaced ? `, ${summary.prioritiesReplaced} replaced` : ''),
+      summary.labelsAdded.length > 0
+        ? `Labels added: ${summary.labelsAdded.map(escapeHtml).join(', ')}`
+        : 'No new labels',
+      `${summary.pausesAdded} pauses added`,
+      summary.settingsReplaced ? 'Settings replaced by the backup' : 'Settings unchanged'
+    ];
+    preview.innerHTML = `
+      <strong>Backup from ${formatDate(backup.exportedAt)}</strong>
+      <ul class="import-preview-list">${changes.map(change => `<li>${change}</li>`).join('')}</ul>
+    `;
+    preview.style.display = 'block';
+    confirmBtn.disabled = false;
+  };
+  
+  fileInput.onchange = async () => {
+    backup = null;
+    const file = fileInput.files[0];
+    if (!file) {
+      await updatePreview();
+      return;
+    }
+    
+    try {
+      const data = JSON.parse(await file.text());
+      validateBackup(data);
+      backup = upgradeBackup(data);
+    } catch (error) {
+      preview.textContent = error instanceof SyntaxError ? 'This file is not valid JSON.' : error.message;
+      preview.style.display = 'block';
+    }
+    await updatePreview();
+  };
+  
+  modeInputs.forEach(input => {
+    input.onchange = updatePreview;
+  });
+  
+  confirmBtn.onclick = async () => {
+    if (!plan) {
+      return;
+    }
+    await applyImport(plan);
+    // Settings may have changed - let the background reschedule
+    chrome.runtime.sendMessage({ action: 'settingsChanged' });
+    alert('Backup restored.');
+    await showSettingsScreen();
+  };
+  
+  document.getElementById('closeImport').onclick = showSettingsScreen;
+}
+
+/**
+ * Render the interrupt interval picker in settings
+ */
+async function renderIntervalSelect() {
+  const select = document.getElementById('intervalSelect');
+  const settings = await getSettings();
+  
+  select.innerHTML = INTERVAL_OPTIONS
+    .map(minutes => `<option value="${minutes}">${minutes} minutes</option>`)
+    .join('');
+  select.value = String(settings.intervalMinutes);
+  
+  select.onchange = async () => {
+    await saveSettings({ intervalMinutes: parseInt(select.value, 10) });
+    // Let the background reschedule the running block
+    chrome.runtime.sendMessage({ action: 'settingsChanged' });
+  };
+}
+
+/**
+ * Render the idle threshold picker in settings
+ */
+async function renderIdleThresholdSelect() {
+  const select = document.getElementById('idleThresholdSelect');
+  const settings = await getSettings();
+  
+  select.innerHTML = IDLE_THRESHOLD_OPTIONS
+    .map(minutes => `<option value="${minutes}">${minutes === 0 ? 'Off' : `After ${minutes} minutes idle`}</option>`)
+    .join('');
+  select.value = String(settings.idleThresholdMinutes);
+  
+  select.onchange = async () => {
+    await saveSettings({ idleThresholdMinutes: parseInt(select.value, 10) });
+    chrome.runtime.sendMessage({ action: 'settingsChanged' });
+  };
+}
+
+/**
+ * Render the interrupt style picker in settings
+ */
+async function renderInterruptModeSelect() {
+  const select = document.getElementById('interruptModeSelect');
+  const settings = await getSettings();
+  
+  select.innerHTML = INTERRUPT_MODES
+    .map(({ id, name }) => `<option value="${id}">${name}</option>`)
+    .join('');
+  select.value = settings.interruptMode;
+  
+  select.onchange = async () => {
+    await saveSettings({ interruptMode: select.value });
+  };
+}
+
+/**
+ * Render the escalation ladder for ignored interrupts in settings
+ */
+async function renderEscalationSettings() {
+  const { escalation } = await getSettings();
+  const container = document.getElementById('escalationSteps');
+  const steps = [
+    { key: 'renotifyMinutes', name: 'Notify again' },
+    { key: 'tabMinutes', name: 'Open a full tab' },
+    { key: 'unaccountedMinutes', name: 'Record as Unaccounted' }
+  ];
+  
+  container.innerHTML = '';
+  steps.forEach(({ key, name }) => {
+    const row = document.createElement('div');
+    row.className = 'schedule-row';
+    
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'schedule-day-name';
+    nameSpan.textContent = name;
+    row.appendChild(nameSpan);
+    
+    const select = document.createElement('select');
+    select.className = 'schedule-time';
+    select.innerHTML = ESCALATION_OPTIONS
+      .map(minutes => `<option value="${minutes}">${minutes === 0 ? 'Never' : `After ${minutes} min`}</option>`)
+      .join('');
+    select.value = String(escalation[key]);
+    select.onchange = async () => {
+      escalation[key] = parseInt(select.value, 10);
+      await saveSettings({ escalation });
+    };
+    row.appendChild(select);
+    
+    container.appendChild(row);
+  });
+}
+
+/**
+ * Render the week start picker in settings
+ */
+async function renderWeekStartSelect() {
+  const select = document.getElementById('weekStartSelect');
+  const settings = await getSettings();
+  
+  select.innerHTML = WEEK_START_OPTIONS
+    .map(({ day, name }) => `<option value="${day}">${name}</option>`)
+    .join('');
+  select.value = String(settings.weekStartDay);
+  
+  select.onchange = async () => {
+    await saveSettings({ weekStartDay: parseInt(select.value, 10) });
+  };
+}
+
+/**
+ * Render the working-hours schedule in settings
+ * Every change is saved immediately and re-applied by the background
+ */
+async function renderScheduleSettings() {
+  const { schedule } = await getSettings();
+  const enabledInput = document.getElementById('scheduleEnabled');
+  const daysContainer = document.getElementById('scheduleDays');
+  const breakStartInput = document.getElementById('breakStart');
+  const breakEndInput = document.getElementById('breakEnd');
+  
+  const saveSchedule = async () => {
+    await saveSettings({ schedule });
+    chrome.runtime.sendMessage({ action: 'settingsChanged' });
+  };
+  
+  enabledInput.checked = schedule.enabled;
+  enabledInput.onchange = async () => {
+    schedule.enabled = enabledInput.checked;
+    await saveSchedule();
+  };
+  
+  // Show Monday first; storage is indexed by Date.getDay()
+  const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  daysContainer.innerHTML = '';
+  [1, 2, 3, 4, 5, 6, 0].forEach(dayIndex => {
+    const day = schedule.days[dayIndex];
+    
+    const row = document.createElement('div');
+    row.className = day.enabled ? 'schedule-row' : 'schedule-row disabled';
+    
+    const dayLabel = document.createElement('label');
+    dayLabel.className = 'schedule-day-name';
+    const dayCheckbox = document.createElement('input');
+    dayCheckbox.type = 'checkbox';
+    dayCheckbox.checked = day.enabled;
+    dayLabel.appendChild(dayCheckbox);
+    dayLabel.appendChild(document.createTextNode(` ${dayNames[dayIndex].substring(0, 3)}`));
+    
+    const startInput = document.createElement('input');
+    startInput.type = 'time';
+    startInput.className = 'schedule-time';
+    startInput.value = day.start;
+    
+    const separator = document.createElement('span');
+    separator.textContent = 'to';
+    
+    const endInput = document.createElement('input');
+    endInput.type = 'time';
+    endInput.className = 'schedule-time';
+    endInput.value = day.end;
+    
+    dayCheckbox.onchange = async () => {
+      day.enabled = dayCheckbox.checked;
+      row.className = day.enabled ? 'schedule-row' : 'schedule-row disabled';
+      await saveSchedule();
+    };
+    
+    const timeHandler = async () => {
+      if (!startInput.value || !endInput.value || endInput.value <= startInput.value) {
+        alert('End time must be after start time.');
+        startInput.value = day.start;
+        endInput.value = day.end;
+        return;
+      }
+      day.start = startInput.value;
+      day.end = endInput.value;
+      await saveSchedule();
+    };
+    startInput.onchange = timeHandler;
+    endInput.onchange = timeHandler;
+    
+    row.appendChild(dayLabel);
+    row.appendChild(startInput);
+    row.appendChild(separator);
+    row.appendChild(endInput);
+    daysContainer.appendChild(row);
+  });
+  
+  breakStartInput.value = schedule.breakStart;
+  breakEndInput.value = schedule.breakEnd;
+  
+  const breakHandler = async () => {
+    // Clearing either field removes the lunch gap
+    if (breakStartInput.value && breakEndInput.value && breakEndInput.value <= breakStartInput.value) {
+      alert('Lunch must end after it starts.');
+      breakStartInput.value = schedule.breakStart;
+      breakEndInput.value = schedule.breakEnd;
+      return;
+    }
+    schedule.breakStart = breakStartInput.value;
+    schedule.breakEnd = breakEndInput.value;
+    await saveSchedule();
+  };
+  breakStartInput.onchange = breakHandler;
+  breakEndInput.onchange = breakHandler;
+}
+
 /**
  * Render the labels list in settings
  */
@@ -904,41 +2250,76 @@ async function renderLabelsList() {
   
   labelsList.innerHTML = '';
   
-  labels.forEach((label, index) => {
+  // Archived labels go last; they stay so older blocks keep their name
+  // The built-in Unaccounted label is managed by the tracker, not the user
+  labels.filter(label => label.id !== UNACCOUNTED_LABEL_ID).sort((a, b) => a.archived - b.archived).forEach(label => {
     const labelItem = document.createElement('div');
-    labelItem.className = 'label-item';
-    labelItem.dataset.index = index;
+    labelItem.className = label.archived ? 'label-item archived' : 'label-item';
+    labelItem.dataset.labelId = label.id;
+    
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.className = 'label-color-input';
+    colorInput.value = label.color;
+    colorInput.title = 'Label color';
+    colorInput.onchange = () => updateLabel(label.id, { color: colorInput.value });
     
     const nameSpan = document.createElement('span');
     nameSpan.className = 'label-item-name';
-    nameSpan.textContent = label;
+    nameSpan.textContent = label.archived ? `${label.name} (archived)` : label.name;
+    
+    const categorySelect = document.createElement('select');
+    categorySelect.className = 'label-category-select';
+    categorySelect.title = 'Category used by insights';
+    LABEL_CATEGORIES.forEach(category => {
+      const option = document.createElement('option');
+      option.value = category;
+      option.textContent = category.charAt(0).toUpperCase() + category.slice(1);
+      categorySelect.appendChild(option);
+    });
+    categorySelect.value = label.category;
+    categorySelect.onchange = () => updateLabel(label.id, { category: categorySelect.value });
     
     const actionsDiv = document.createElement('div');
     actionsDiv.className = 'label-item-actions';
     
     const editBtn = document.createElement('button');
     editBtn.className = 'label-edit-button';
-    editBtn.textContent = 'Edit';
-    editBtn.onclick = () => editLabel(index, labelItem, nameSpan, actionsDiv, label);
+    editBtn.textContent = 'Rename';
+    editBtn.onclick = () => editLabel(label.id, labelItem, nameSpan, actionsDiv, label.name);
     
-    const deleteBtn = document.createElement('button');
-    deleteBtn.className = 'label-delete-button';
-    deleteBtn.textContent = 'Delete';
-    deleteBtn.onclick = () => deleteLabel(index, label);
+    const archiveBtn = document.createElement('button');
+    archiveBtn.className = label.archived ? 'label-edit-button' : 'label-delete-button';
+    archiveBtn.textContent = label.archived ? 'Restore' : 'Archive';
+    archiveBtn.onclick = () => label.archived
+      ? updateLabel(label.id, { archived: false })
+      : archiveLabel(label.id, label.name);
     
     actionsDiv.appendChild(editBtn);
-    actionsDiv.appendChild(deleteBtn);
+    actionsDiv.appendChild(archiveBtn);
     
+    labelItem.appendChild(colorInput);
     labelItem.appendChild(nameSpan);
+    labelItem.appendChild(categorySelect);
     labelItem.appendChild(actionsDiv);
     labelsList.appendChild(labelItem);
   });
 }
 
 /**
- * Edit a label
+ * Save changes to one label and re-render the list
  */
-async function editLabel(index, labelItem, nameSpan, actionsDiv, currentName) {
+async function updateLabel(labelId, changes) {
+  const labels = await getLabels();
+  await saveLabels(labels.map(label => label.id === labelId ? { ...label, ...changes } : label));
+  await renderLabelsList();
+}
+
+/**
+ * Rename a label
+ * Blocks reference the label's ID, so their history follows the new name.
+ */
+async function editLabel(labelId, labelItem, nameSpan, actionsDiv, currentName) {
   const input = document.createElement('input');
   input.type = 'text';
   input.className = 'label-edit-input';
@@ -975,14 +2356,12 @@ async function editLabel(index, labelItem, nameSpan, actionsDiv, currentName) {
     }
     
     const labels = await getLabels();
-    if (labels.includes(newName) && newName !== currentName) {
+    if (labels.some(label => label.name === newName && label.id !== labelId)) {
       alert('This label already exists.');
       return;
     }
     
-    labels[index] = newName;
-    await saveLabels(labels);
-    await renderLabelsList();
+    await updateLabel(labelId, { name: newName });
   };
   
   const cancelHandler = async () => {
@@ -1002,25 +2381,21 @@ async function editLabel(index, labelItem, nameSpan, actionsDiv, currentName) {
 }
 
 /**
- * Delete a label
+ * Archive a label
+ * Archived labels can't be picked for new time but keep naming old blocks.
  */
-async function deleteLabel(index, labelName) {
-  if (!confirm(`Are you sure you want to delete "${labelName}"? This will not affect existing time blocks, but you won't be able to use this label for new blocks.`)) {
+async function archiveLabel(labelId, labelName) {
+  if (!confirm(`Archive "${labelName}"? Existing time blocks keep this label, but you won't be able to use it for new blocks.`)) {
     return;
   }
   
   const labels = await getLabels();
-  labels.splice(index, 1);
-  
-  // Ensure at least one label exists
-  if (labels.length === 0) {
-    alert('You must have at least one label. Resetting to default labels.');
-    await saveLabels([...DEFAULT_LABELS]);
-  } else {
-    await saveLabels(labels);
+  if (labels.filter(label => !label.archived && label.id !== labelId).length === 0) {
+    alert('You must have at least one active label.');
+    return;
   }
   
-  await renderLabelsList();
+  await updateLabel(labelId, { archived: true });
 }
 
 /**
@@ -0,0 +1,229 @@
+/**
+ * Storage schema for the 15 Minute Time Tracker extension
+ * Every storage key, the current schema version and the migrations
+ * that bring older stored data up to it
+ */
+
+/**
+ * Storage keys
+ */
+const STORAGE_KEYS = {
+  SCHEMA_VERSION: 'schemaVersion',
+  BLOCK_INDEX: 'blockIndex',
+  DAILY_PRIORITY: 'dailyPriority',
+  TIMER_START: 'timerStart',
+  IS_RUNNING: 'isRunning',
+  CURRENT_DAY: 'currentDay',
+  NEEDS_PRIORITY: 'needsPriority',
+  LABELS: 'labels',
+  SETTINGS: 'settings',
+  PENDING_BLOCKS: 'pendingBlocks',
+  IDLE_SINCE: 'idleSince',
+  AWAY_SEGMENTS: 'awaySegments',
+  PAUSED_AT: 'pausedAt',
+  PAUSE_REASON: 'pauseReason',
+  PAUSE_INDEX: 'pauseIndex',
+  AUDIT_TRAIL: 'auditTrail',
+  ESCALATION: 'escalation',
+  INTERRUPT_TAB_ID: 'interruptTabId',
+  STOPPED_MANUALLY_ON: 'stoppedManuallyOn',
+
+  // Only read by migrations
+  LEGACY_TIME_BLOCKS: 'timeBlocks',
+  LEGACY_CUSTOM_LABELS: 'customLabels',
+  LEGACY_PENDING_BLOCK: 'pendingBlock',
+  LEGACY_PAUSES: 'pauses'
+};
+
+/**
+ * Prefix of the per-day time block keys ("blocks:YYYY-MM-DD")
+ */
+const BLOCK_DAY_PREFIX = 'blocks:';
+
+/**
+ * Prefix of the per-day pause keys ("pauses:YYYY-MM-DD")
+ */
+const PAUSE_DAY_PREFIX = 'pauses:';
+
+/**
+ * Version of the stored data shape, also written into backups
+ * Bump it together with a new entry in MIGRATIONS.
+ */
+const SCHEMA_VERSION = 7;
+
+/**
+ * Ordered migration steps
+ * Each step upgrades storage from version - 1 to version and must be safe
+ * to run on a fresh install, where there is nothing to migrate.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move the single pending block into the pending queue',
+    migrate: async () => {
+      const result = await chrome.storage.local.get([
+        STORAGE_KEYS.LEGACY_PENDING_BLOCK,
+        STORAGE_KEYS.PENDING_BLOCKS
+      ]);
+      const legacyBlock = result[STORAGE_KEYS.LEGACY_PENDING_BLOCK];
+      if (!legacyBlock) {
+        return;
+      }
+
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.PENDING_BLOCKS]: [legacyBlock, ...(result[STORAGE_KEYS.PENDING_BLOCKS] || [])]
+      });
+      await chrome.storage.local.remove(STORAGE_KEYS.LEGACY_PENDING_BLOCK);
+    }
+  },
+  {
+    version: 2,
+    description: 'Split the single time block array into per-day keys',
+    migrate: async () => {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.LEGACY_TIME_BLOCKS);
+      const legacyBlocks = result[STORAGE_KEYS.LEGACY_TIME_BLOCKS];
+      if (!Array.isArray(legacyBlocks)) {
+        return;
+      }
+
+      // Skip blocks a concurrent or interrupted run already copied,
+      // so running this step twice can't duplicate history
+      const dayKeys = Object.keys(groupBlocksByDayKey(legacyBlocks));
+      const copiedStarts = new Set((await getBlocksForDayKeys(dayKeys))
+        .map(block => new Date(block.start).getTime()));
+      await saveTimeBlocks(legacyBlocks.filter(block => !copiedStarts.has(new Date(block.start).getTime())));
+      await chrome.storage.local.remove(STORAGE_KEYS.LEGACY_TIME_BLOCKS);
+    }
+  },
+  {
+    version: 3,
+    description: 'Give labels stable IDs and reference them from blocks',
+    migrate: async () => {
+      const result = await chrome.storage.local.get([
+        STORAGE_KEYS.LEGACY_CUSTOM_LABELS,
+        STORAGE_KEYS.LABELS,
+        STORAGE_KEYS.AUDIT_TRAIL
+      ]);
+      // getLabels() may already have saved the defaults before this ran,
+      // so keep those IDs and only add the legacy names they don't cover.
+      // The legacy names decide which labels stay active; the others are
+      // archived rather than deleted, since blocks may reference their IDs.
+      const legacyNames = result[STORAGE_KEYS.LEGACY_CUSTOM_LABELS] || DEFAULT_LABELS;
+      const labels = (result[STORAGE_KEYS.LABELS] || [])
+        .map(label => legacyNames.includes(label.name) ? label : { ...label, archived: true });
+      const missingNames = legacyNames.filter(name => !labels.some(label => label.name === name));
+      labels.push(...createLabelsFromNames(missingNames));
+      const dayKeys = await getBlockIndex();
+      const days = await chrome.storage.local.get(dayKeys);
+      const migratedDays = {};
+      dayKeys.forEach(key => {
+        migratedDays[key] = (days[key] || []).map(block => attachLabelId(block, labels));
+      });
+
+      // History keeps the original blocks, so they need IDs too
+      const auditTrail = (result[STORAGE_KEYS.AUDIT_TRAIL] || []).map(entry => ({
+        ...entry,
+        before: attachLabelId(entry.before, labels),
+        after: attachLabelId(entry.after, labels)
+      }));
+
+      await chrome.storage.local.set({
+        ...migratedDays,
+        [STORAGE_KEYS.LABELS]: labels,
+        [STORAGE_KEYS.AUDIT_TRAIL]: auditTrail
+      });
+      await chrome.storage.local.remove(STORAGE_KEYS.LEGACY_CUSTOM_LABELS);
+    }
+  },
+  {
+    version: 4,
+    description: 'Give every label a category for insights',
+    migrate: async () => {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.LABELS);
+      if (!result[STORAGE_KEYS.LABELS]) {
+        return;
+      }
+
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.LABELS]: result[STORAGE_KEYS.LABELS].map(withCategory)
+      });
+    }
+  },
+  {
+    version: 5,
+    description: 'Store each daily priority with the labels that count toward it',
+    migrate: async () => {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.DAILY_PRIORITY);
+      if (!result[STORAGE_KEYS.DAILY_PRIORITY]) {
+        return;
+      }
+
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.DAILY_PRIORITY]: toPriorityObjects(result[STORAGE_KEYS.DAILY_PRIORITY])
+      });
+    }
+  },
+  {
+    version: 6,
+    description: 'Allow several ranked priorities per day',
+    migrate: async () => {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.DAILY_PRIORITY);
+      if (!result[STORAGE_KEYS.DAILY_PRIORITY]) {
+        return;
+      }
+
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.DAILY_PRIORITY]: toPriorityLists(result[STORAGE_KEYS.DAILY_PRIORITY])
+      });
+    }
+  },
+  {
+    version: 7,
+    description: 'Split pauses into per-day keys',
+    migrate: async () => {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.LEGACY_PAUSES);
+      const legacyPauses = result[STORAGE_KEYS.LEGACY_PAUSES];
+      if (!Array.isArray(legacyPauses)) {
+        return;
+      }
+
+      // Keep pauses already saved per day, without copying any of them twice
+      const pauses = await getPauses();
+      const savedStarts = new Set(pauses.map(pause => pause.start));
+      await replaceAllPauses(pauses.concat(legacyPauses.filter(pause => !savedStarts.has(pause.start))));
+      await chrome.storage.local.remove(STORAGE_KEYS.LEGACY_PAUSES);
+    }
+  }
+];
+
+/**
+ * Get the schema version storage is currently at
+ * Data from before versioning counts as version 0.
+ */
+async function getStoredSchemaVersion() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.SCHEMA_VERSION);
+  return result[STORAGE_KEYS.SCHEMA_VERSION] || 0;
+}
+
+/**
+ * Run every migration newer than the stored version, in order
+ * The version is saved after each step, so an interrupted run resumes
+ * where it stopped instead of repeating finished steps.
+ */
+async function runMigrations() {
+  const storedVersion = await getStoredSchemaVersion();
+  if (storedVersion > SCHEMA_VERSION) {
+    console.error('Stored data is from a newer schema version:', storedVersion);
+    return;
+  }
+
+  const pending = MIGRATIONS
+    .filter(step => step.version > storedVersion)
+    .sort((a, b) => a.version - b.version);
+
+  for (const step of pending) {
+    console.log(`Migrating storage to version ${step.version}: ${step.description}`);
+    await step.migrate();
+    await chrome.storage.local.set({ [STORAGE_KEYS.SCHEMA_VERSION]: step.version });
+  }
+}
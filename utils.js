@@ -6,197 +6,1400 @@
 
 
 /**
- * Storage keys
- */
-const STORAGE_KEYS = {
-  TIME_BLOCKS: 'timeBlocks',
-  DAILY_PRIORITY: 'dailyPriority',
-  LAST_INTERRUPT: 'lastInterrupt',
-  TIMER_START: 'timerStart',
-  CURRENT_DAY: 'currentDay',
-  CUSTOM_LABELS: 'customLabels'
+ * Labels offered until the user customizes them
+ */
+const DEFAULT_LABELS = ['Work', 'Meetings', 'Break', 'Planning', 'Other'];
+
+/**
+ * Interrupt interval choices offered in settings (minutes)
+ */
+const INTERVAL_OPTIONS = [10, 15, 20, 30, 60];
+
+/**
+ * Idle threshold choices offered in settings (minutes, 0 = off)
+ */
+const IDLE_THRESHOLD_OPTIONS = [0, 2, 5, 10, 15];
+
+/**
+ * How an interrupt reaches the user, as offered in settings
+ */
+const INTERRUPT_MODES = [
+  { id: 'popup', name: 'Notification and popup' },
+  { id: 'tab', name: 'Full-page tab' }
+];
+
+/**
+ * Escalation delays offered in settings (minutes, 0 = skip the step)
+ */
+const ESCALATION_OPTIONS = [0, 5, 10, 15, 30, 60, 120];
+
+/**
+ * Week start choices offered in settings (Date.getDay() values)
+ */
+const WEEK_START_OPTIONS = [
+  { day: 1, name: 'Monday' },
+  { day: 0, name: 'Sunday' }
+];
+
+/**
+ * Periods offered on the reports screen
+ */
+const REPORT_PERIODS = [
+  { id: 'month', name: 'Month' },
+  { id: 'quarter', name: 'Quarter' },
+  { id: 'custom', name: 'Custom range' }
+];
+
+/**
+ * Reasons offered when pausing the timer
+ */
+const PAUSE_REASONS = ['Lunch', 'Meeting', 'Personal'];
+
+/**
+ * Default settings, merged under whatever the user has saved
+ */
+const DEFAULT_SETTINGS = {
+  intervalMinutes: 15,
+  idleThresholdMinutes: 5,
+  interruptMode: 'popup', // One of INTERRUPT_MODES
+  weekStartDay: 1, // Date.getDay() of the first day of the week (1 = Monday, 0 = Sunday)
+  // Minutes an unlabeled block waits before each step (0 = skip the step)
+  escalation: {
+    renotifyMinutes: 5,
+    tabMinutes: 15,
+    unaccountedMinutes: 60
+  },
+  // Working hours, indexed by Date.getDay() (0 = Sunday)
+  schedule: {
+    enabled: false,
+    days: [
+      { enabled: false, start: '09:00', end: '17:30' },
+      { enabled: true, start: '09:00', end: '17:30' },
+      { enabled: true, start: '09:00', end: '17:30' },
+      { enabled: true, start: '09:00', end: '17:30' },
+      { enabled: true, start: '09:00', end: '17:30' },
+      { enabled: true, start: '09:00', end: '17:30' },
+      { enabled: false, start: '09:00', end: '17:30' }
+    ],
+    breakStart: '12:00', // Empty string means no lunch gap
+    breakEnd: '13:00'
+  }
+};
+
+/**
+ * Get settings from storage, with defaults for missing values
+ * The defaults are copied so callers can change nested objects
+ * (schedule, escalation) in place without touching DEFAULT_SETTINGS.
+ */
+async function getSettings() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.SETTINGS);
+  return { ...structuredClone(DEFAULT_SETTINGS), ...(result[STORAGE_KEYS.SETTINGS] || {}) };
+}
+
+/**
+ * Save a partial settings update
+ */
+async function saveSettings(changes) {
+  const settings = await getSettings();
+  const updated = { ...settings, ...changes };
+  await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS]: updated });
+  return updated;
+}
+
+/**
+ * Get the interrupt interval in milliseconds
+ */
+async function getInterruptInterval() {
+  const settings = await getSettings();
+  return settings.intervalMinutes * 60 * 1000;
+}
+
+/**
+ * Get the timestamp of an "HH:MM" time on the given date
+ */
+function getTimeOnDate(date, timeOfDay) {
+  const [hours, minutes] = timeOfDay.split(':').map(Number);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes).getTime();
+}
+
+/**
+ * Get the working windows ([start, end] timestamps) for one date
+ * The lunch gap splits the day into a morning and an afternoon window
+ */
+function getWorkingWindows(schedule, date) {
+  const day = schedule.days[date.getDay()];
+  if (!day || !day.enabled) {
+    return [];
+  }
+  
+  const start = getTimeOnDate(date, day.start);
+  const end = getTimeOnDate(date, day.end);
+  if (end <= start) {
+    return [];
+  }
+  
+  if (!schedule.breakStart || !schedule.breakEnd) {
+    return [[start, end]];
+  }
+  
+  const breakStart = getTimeOnDate(date, schedule.breakStart);
+  const breakEnd = getTimeOnDate(date, schedule.breakEnd);
+  if (breakEnd <= breakStart || breakEnd <= start || breakStart >= end) {
+    return [[start, end]];
+  }
+  
+  return [
+    [start, Math.max(start, breakStart)],
+    [Math.min(end, breakEnd), end]
+  ].filter(([windowStart, windowEnd]) => windowEnd > windowStart);
+}
+
+/**
+ * Check whether a timestamp falls inside working hours
+ * Always true when no schedule is enabled
+ */
+function isWithinSchedule(schedule, timestamp) {
+  if (!schedule.enabled) {
+    return true;
+  }
+  return getWorkingWindows(schedule, new Date(timestamp))
+    .some(([start, end]) => timestamp >= start && timestamp < end);
+}
+
+/**
+ * Get the next time tracking should start or stop, or null if never
+ */
+function getNextScheduleBoundary(schedule, timestamp) {
+  if (!schedule.enabled) {
+    return null;
+  }
+  
+  const date = new Date(timestamp);
+  // Look a full week ahead so a Friday evening finds Monday morning
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+    const edges = getWorkingWindows(schedule, day)
+      .flat()
+      .filter(edge => edge > timestamp);
+    if (edges.length > 0) {
+      return Math.min(...edges);
+    }
+  }
+  return null;
+}
+
+/**
+ * Clip a time range to working hours
+ * Returns the [start, end] segments of the range that fall inside the schedule
+ */
+function clipToSchedule(schedule, start, end) {
+  if (!schedule.enabled) {
+    return [[start, end]];
+  }
+  
+  const segments = [];
+  const first = new Date(start);
+  for (let day = new Date(first.getFullYear(), first.getMonth(), first.getDate());
+       day.getTime() < end;
+       day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+    getWorkingWindows(schedule, day).forEach(([windowStart, windowEnd]) => {
+      const segmentStart = Math.max(start, windowStart);
+      const segmentEnd = Math.min(end, windowEnd);
+      if (segmentEnd > segmentStart) {
+        segments.push([segmentStart, segmentEnd]);
+      }
+    });
+  }
+  return segments;
+}
+
+/**
+ * Milliseconds of {start, end} segments that fall inside [start, end]
+ */
+function getOverlapMs(segments, start, end) {
+  return segments.reduce((sum, segment) =>
+    sum + Math.max(0, Math.min(segment.end, end) - Math.max(segment.start, start)), 0);
+}
+
+/**
+ * Split a time range into interval-sized pending blocks
+ * Used to backfill the gap left by a closed browser or a sleeping machine.
+ * Leftovers shorter than half an interval are folded into the previous block,
+ * so an alarm that fires a little late still produces a single block.
+ * Stretch segments (away and paused time) don't count toward the interval,
+ * so only the block they fall in grows to hold them.
+ */
+function splitIntoBlocks(start, end, interval, schedule, stretch = []) {
+  const blocks = [];
+  clipToSchedule(schedule, start, end).forEach(([segmentStart, segmentEnd]) => {
+    let blockStart = segmentStart;
+    while (blockStart < segmentEnd) {
+      // Grow until the block holds a full interval of active time
+      let blockEnd = blockStart + interval;
+      let grown = blockStart + interval + getOverlapMs(stretch, blockStart, blockEnd);
+      while (grown > blockEnd && blockEnd < segmentEnd) {
+        blockEnd = grown;
+        grown = blockStart + interval + getOverlapMs(stretch, blockStart, blockEnd);
+      }
+      blockEnd = Math.min(blockEnd, segmentEnd);
+      
+      const active = blockEnd - blockStart - getOverlapMs(stretch, blockStart, blockEnd);
+      const previous = blocks[blocks.length - 1];
+      if (active < interval / 2 && previous && previous.end === blockStart) {
+        previous.end = blockEnd;
+      } else {
+        blocks.push({ start: blockStart, end: blockEnd });
+      }
+      blockStart = blockEnd;
+    }
+  });
+  return blocks;
+}
+
+/**
+ * Get the queue of blocks waiting to be labeled, oldest first
+ */
+async function getPendingBlocks() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.PENDING_BLOCKS);
+  return result[STORAGE_KEYS.PENDING_BLOCKS] || [];
+}
+
+/**
+ * Replace the queue of blocks waiting to be labeled
+ */
+async function setPendingBlocks(blocks) {
+  const changes = { [STORAGE_KEYS.PENDING_BLOCKS]: blocks };
+  // An empty queue ends any escalation in progress
+  if (blocks.length === 0) {
+    changes[STORAGE_KEYS.ESCALATION] = null;
+  }
+  await chrome.storage.local.set(changes);
+}
+
+/**
+ * ID of the notification shown while blocks wait to be labeled
+ */
+const INTERRUPT_NOTIFICATION_ID = 'timeBlockInterrupt';
+
+/**
+ * Path of the full-page interrupt: the popup UI opened in its own tab
+ */
+const INTERRUPT_PAGE_PATH = 'popup.html?view=interrupt';
+
+/**
+ * Save the first `count` pending blocks with a label and drop them from the queue
+ * Shared by the tagging screen and the notification buttons.
+ * @returns {Array} The blocks still waiting to be labeled
+ */
+async function labelPendingBlocks(count, { labelId, note = null, priorityId = null }) {
+  const labeledBlocks = (await getPendingBlocks()).slice(0, count);
+  
+  for (const block of labeledBlocks) {
+    // Backfilled blocks can be from an earlier day, so use that day's
+    // priorities: its top one is kept on the block, the attributed one by ID
+    const priorities = await getPrioritiesForDate(new Date(block.start).toDateString());
+    const [topPriority] = priorities;
+    const attributed = priorities.some(priority => priority.id === priorityId);
+    await saveTimeBlock({
+      start: block.start,
+      end: block.end,
+      away: block.away || [],
+      paused: block.paused || [],
+      labelId,
+      note,
+      dailyPriority: topPriority ? topPriority.text : null,
+      priorityId: attributed ? priorityId : null
+    });
+  }
+  
+  // Re-read in case more blocks were queued meanwhile
+  const labeledStarts = labeledBlocks.map(block => block.start);
+  const remaining = (await getPendingBlocks()).filter(block => !labeledStarts.includes(block.start));
+  await setPendingBlocks(remaining);
+  return remaining;
+}
+
+/**
+ * Pauses are stored per local day of their start under "pauses:YYYY-MM-DD"
+ * keys, with a sorted index of the days that have pauses, like time blocks.
+ */
+function getPauseDayKey(timestamp) {
+  return PAUSE_DAY_PREFIX + toDateInputValue(timestamp);
+}
+
+/**
+ * Get the sorted list of day keys that hold pauses
+ */
+async function getPauseIndex() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.PAUSE_INDEX);
+  return result[STORAGE_KEYS.PAUSE_INDEX] || [];
+}
+
+/**
+ * Read the pauses stored under the given day keys
+ */
+async function getPausesForDayKeys(dayKeys) {
+  if (dayKeys.length === 0) {
+    return [];
+  }
+  const result = await chrome.storage.local.get(dayKeys);
+  return dayKeys.flatMap(key => result[key] || []);
+}
+
+/**
+ * Get all recorded pauses
+ * Reads every day - prefer getPausesBetween when a range is enough
+ */
+async function getPauses() {
+  return getPausesForDayKeys(await getPauseIndex());
+}
+
+/**
+ * Save a finished pause
+ */
+async function savePause(pause) {
+  const key = getPauseDayKey(pause.start);
+  const result = await chrome.storage.local.get([key, STORAGE_KEYS.PAUSE_INDEX]);
+  const index = new Set(result[STORAGE_KEYS.PAUSE_INDEX] || []);
+  index.add(key);
+  await chrome.storage.local.set({
+    [key]: (result[key] || []).concat(pause),
+    [STORAGE_KEYS.PAUSE_INDEX]: [...index].sort()
+  });
+}
+
+/**
+ * Get pauses overlapping a time range
+ */
+async function getPausesBetween(start, end) {
+  // A pause can run past midnight, so the day before is read too
+  const pauses = await getPausesForDayKeys(getDayKeysBetween(PAUSE_DAY_PREFIX, start - DAY_MS, end));
+  return pauses.filter(pause => pause.start < end && pause.end > start);
+}
+
+/**
+ * Replace every stored pause, e.g. when restoring a backup
+ */
+async function replaceAllPauses(pauses) {
+  const days = {};
+  pauses.forEach(pause => {
+    const key = getPauseDayKey(pause.start);
+    if (!days[key]) {
+      days[key] = [];
+    }
+    days[key].push(pause);
+  });
+  
+  await chrome.storage.local.remove(await getPauseIndex());
+  await chrome.storage.local.set({ ...days, [STORAGE_KEYS.PAUSE_INDEX]: Object.keys(days).sort() });
+}
+
+/**
+ * Sum paused hours per reason
+ */
+function getPauseHours(pauses) {
+  const pauseHours = {};
+  pauses.forEach(pause => {
+    pauseHours[pause.reason] = (pauseHours[pause.reason] || 0) + getBlockHours(pause);
+  });
+  return pauseHours;
+}
+
+/**
+ * Get the real duration of a block in hours, without paused time
+ */
+function getBlockHours(block) {
+  const duration = new Date(block.end) - new Date(block.start);
+  return Math.max(0, duration / (60 * 60 * 1000) - getPausedHours(block));
+}
+
+/**
+ * Get the hours of a block the timer was paused for
+ * Pauses are recorded separately, so they don't count toward the block.
+ */
+function getPausedHours(block) {
+  return getSegmentHours(block.paused || []);
+}
+
+/**
+ * Sum the hours covered by {start, end} segments
+ */
+function getSegmentHours(segments) {
+  const total = segments
+    .reduce((sum, segment) => sum + Math.max(0, segment.end - segment.start), 0);
+  return total / (60 * 60 * 1000);
+}
+
+/**
+ * Get the hours of a block spent idle or locked
+ */
+function getAwayHours(block) {
+  return getSegmentHours(block.away || []);
+}
+
+/**
+ * Clip away segments to a block's range, dropping those outside it
+ */
+function clipSegments(segments, start, end) {
+  return segments
+    .map(segment => ({
+      start: Math.max(segment.start, start),
+      end: Math.min(segment.end, end)
+    }))
+    .filter(segment => segment.end > segment.start);
+}
+
+/**
+ * Name shown for blocks whose label can't be found
+ */
+const UNKNOWN_LABEL_NAME = 'Unknown';
+
+/**
+ * Sum hours per label name, starting every active label at zero
+ * @param {Array} blocks - Blocks referencing labels by labelId
+ * @param {Array} labels - Label objects, archived ones included
+ */
+function getLabelHours(blocks, labels) {
+  const labelMap = getLabelMap(labels);
+  const labelHours = {};
+  labels.filter(label => !label.archived).forEach(label => labelHours[label.name] = 0);
+  
+  blocks.forEach(block => {
+    const name = getLabelName(labelMap, block.labelId);
+    if (!labelHours.hasOwnProperty(name)) {
+      labelHours[name] = 0;
+    }
+    labelHours[name] += getBlockHours(block);
+  });
+  
+  return labelHours;
+}
+
+/**
+ * Default label colors, matching the calendar styles
+ */
+const DEFAULT_LABEL_COLORS = {
+  Work: '#3b82f6',
+  Meetings: '#f59e0b',
+  Break: '#10b981',
+  Planning: '#a855f7',
+  Other: '#6b7280'
 };
 
+/**
+ * Categories a label can belong to
+ * Insights use these instead of label names, so they work for any labels.
+ */
+const LABEL_CATEGORIES = ['focus', 'collaboration', 'maintenance', 'recovery', 'avoidance'];
+
+/**
+ * Categories for the default labels (and the original five)
+ * Other labels start as focus until the user says otherwise.
+ */
+const DEFAULT_LABEL_CATEGORIES = {
+  Work: 'focus',
+  Meetings: 'collaboration',
+  Break: 'recovery',
+  Planning: 'maintenance',
+  Other: 'avoidance',
+  Revenue: 'focus',
+  Leverage: 'focus',
+  Maintenance: 'maintenance',
+  Recovery: 'recovery',
+  Avoidance: 'avoidance'
+};
+
+/**
+ * Colors handed out to new labels, in turn
+ */
+const LABEL_COLOR_PALETTE = ['#3b82f6', '#f59e0b', '#10b981', '#a855f7', '#ef4444', '#14b8a6', '#ec4899', '#6b7280'];
+
+/**
+ * Create a unique ID for stored records, e.g. "label-lx3k9a-4f8q2z"
+ */
+function createId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Create a label with a new stable ID
+ * Blocks store the ID, so the name and color can change freely later.
+ */
+function createLabel(name, color, category) {
+  return {
+    id: createId('label'),
+    name,
+    color: color || DEFAULT_LABEL_COLORS[name] || LABEL_COLOR_PALETTE[0],
+    category: category || getDefaultCategory(name),
+    archived: false
+  };
+}
+
+/**
+ * Get the category a label with this name starts in
+ */
+function getDefaultCategory(name) {
+  return DEFAULT_LABEL_CATEGORIES[name] || 'focus';
+}
+
+/**
+ * Create labels from a list of plain names
+ */
+function createLabelsFromNames(names) {
+  return names.map((name, index) =>
+    createLabel(name, DEFAULT_LABEL_COLORS[name] || LABEL_COLOR_PALETTE[index % LABEL_COLOR_PALETTE.length])
+  );
+}
+
+/**
+ * Replace a block's label name with the ID of the label of that name
+ * Names with no label yet get a new archived label (it was deleted before
+ * labels had IDs). Used when migrating storage and older backups.
+ * @param {Object} block - Block with a string `label`
+ * @param {Array} labels - Label objects; new labels are appended to it
+ */
+function attachLabelId(block, labels) {
+  if (!block || block.labelId || typeof block.label !== 'string') {
+    return block;
+  }
+  
+  let label = labels.find(candidate => candidate.name === block.label);
+  if (!label) {
+    label = { ...createLabel(block.label, LABEL_COLOR_PALETTE[labels.length % LABEL_COLOR_PALETTE.length]), archived: true };
+    labels.push(label);
+  }
+  
+  const migrated = { ...block, labelId: label.id };
+  delete migrated.label;
+  return migrated;
+}
 
+/**
+ * Give a label from before categories existed its default category
+ */
+function withCategory(label) {
+  return label.category ? label : { ...label, category: getDefaultCategory(label.name) };
+}
 
 /**
- * Get labels from storage, with default fallback
+ * Get all labels from storage, archived ones included
+ * The defaults are created (and saved, so their IDs stay put) on first use.
  */
 async function getLabels() {
-  const result = await chrome.storage.local.get(STORAGE_KEYS.CUSTOM_LABELS);
-  return result[STORAGE_KEYS.CUSTOM_LABELS] || DEFAULT_LABELS;
+  const result = await chrome.storage.local.get(STORAGE_KEYS.LABELS);
+  if (result[STORAGE_KEYS.LABELS]) {
+    return result[STORAGE_KEYS.LABELS];
+  }
+  
+  const labels = createLabelsFromNames(DEFAULT_LABELS);
+  await saveLabels(labels);
+  return labels;
+}
+
+/**
+ * Get the labels that can be picked for new time
+ */
+async function getActiveLabels() {
+  return (await getLabels()).filter(label => !label.archived);
+}
+
+/**
+ * ID of the built-in label for blocks that were never labeled
+ */
+const UNACCOUNTED_LABEL_ID = 'label-unaccounted';
+
+/**
+ * Get the label ignored blocks are recorded under, creating it on first use
+ * It is stored archived so it is never offered for labeling, and has its
+ * own category so reviews can tell ignored time apart.
+ */
+async function getUnaccountedLabel() {
+  const labels = await getLabels();
+  let label = labels.find(candidate => candidate.id === UNACCOUNTED_LABEL_ID);
+  if (!label) {
+    label = {
+      id: UNACCOUNTED_LABEL_ID,
+      name: 'Unaccounted',
+      color: '#9ca3af',
+      category: 'unaccounted',
+      archived: true
+    };
+    await saveLabels([...labels, label]);
+  }
+  return label;
+}
+
+/**
+ * Save labels to storage
+ */
+async function saveLabels(labels) {
+  await chrome.storage.local.set({ [STORAGE_KEYS.LABELS]: labels });
+}
+
+/**
+ * Index labels by ID
+ */
+function getLabelMap(labels) {
+  const labelMap = {};
+  labels.forEach(label => labelMap[label.id] = label);
+  return labelMap;
+}
+
+/**
+ * Get the display name of a label ID
+ */
+function getLabelName(labelMap, labelId) {
+  return labelMap[labelId] ? labelMap[labelId].name : UNKNOWN_LABEL_NAME;
+}
+
+/**
+ * Get the color of a label ID
+ */
+function getLabelColor(labelMap, labelId) {
+  return labelMap[labelId] ? labelMap[labelId].color : DEFAULT_LABEL_COLORS.Other;
+}
+
+/**
+ * Time blocks are stored per local day under "blocks:YYYY-MM-DD" keys,
+ * with a sorted index of the days that have blocks. Saving a block only
+ * touches its own day, and date-range reads only fetch the days in range.
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the storage key of the day a timestamp falls on
+ */
+function getBlockDayKey(timestamp) {
+  return BLOCK_DAY_PREFIX + toDateInputValue(timestamp);
+}
+
+/**
+ * Get the per-day storage keys with a prefix for every local day touched by a time range
+ */
+function getDayKeysBetween(prefix, start, end) {
+  const keys = [];
+  const first = new Date(start);
+  for (let day = new Date(first.getFullYear(), first.getMonth(), first.getDate());
+       day.getTime() < end;
+       day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+    keys.push(prefix + toDateInputValue(day));
+  }
+  return keys;
+}
+
+/**
+ * Get the block storage keys of every local day touched by a time range
+ */
+function getBlockDayKeysBetween(start, end) {
+  return getDayKeysBetween(BLOCK_DAY_PREFIX, start, end);
+}
+
+/**
+ * Get the sorted list of day keys that hold blocks
+ */
+async function getBlockIndex() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.BLOCK_INDEX);
+  return result[STORAGE_KEYS.BLOCK_INDEX] || [];
+}
+
+/**
+ * Read the blocks stored under the given day keys
+ */
+async function getBlocksForDayKeys(dayKeys) {
+  if (dayKeys.length === 0) {
+    return [];
+  }
+  const result = await chrome.storage.local.get(dayKeys);
+  return dayKeys.flatMap(key => result[key] || []);
+}
+
+/**
+ * Write whole days of blocks and keep the index in step
+ * @param {Object} days - Map of day key to that day's complete block list
+ */
+async function writeBlockDays(days) {
+  const index = new Set(await getBlockIndex());
+  const toSet = {};
+  const toRemove = [];
+  
+  Object.entries(days).forEach(([key, blocks]) => {
+    if (blocks.length > 0) {
+      toSet[key] = blocks;
+      index.add(key);
+    } else {
+      toRemove.push(key);
+      index.delete(key);
+    }
+  });
+  
+  toSet[STORAGE_KEYS.BLOCK_INDEX] = [...index].sort();
+  await chrome.storage.local.set(toSet);
+  if (toRemove.length > 0) {
+    await chrome.storage.local.remove(toRemove);
+  }
+}
+
+/**
+ * Group blocks by the day key of their start
+ */
+function groupBlocksByDayKey(blocks) {
+  const days = {};
+  blocks.forEach(block => {
+    const key = getBlockDayKey(block.start);
+    if (!days[key]) {
+      days[key] = [];
+    }
+    days[key].push(block);
+  });
+  return days;
+}
+
+/**
+ * Get all time blocks from storage
+ * Reads every day - prefer getBlocksBetween when a range is enough
+ */
+async function getTimeBlocks() {
+  return getBlocksForDayKeys(await getBlockIndex());
+}
+
+/**
+ * Get blocks starting inside a time range
+ */
+async function getBlocksBetween(start, end) {
+  const blocks = await getBlocksForDayKeys(getBlockDayKeysBetween(start, end));
+  return blocks.filter(block => {
+    const blockStart = new Date(block.start).getTime();
+    return blockStart >= start && blockStart < end;
+  });
+}
+
+/**
+ * Get the blocks that could overlap a time range
+ * Includes the previous day for blocks running past midnight
+ */
+async function getBlocksAround(start, end) {
+  return getBlocksForDayKeys(getBlockDayKeysBetween(start - DAY_MS, end));
+}
+
+/**
+ * Get the most recently saved blocks, newest first
+ * Reads day keys from the newest back until enough blocks are found.
+ */
+async function getRecentBlocks(count) {
+  const dayKeys = (await getBlockIndex()).slice().reverse();
+  const blocks = [];
+  for (const key of dayKeys) {
+    const dayBlocks = await getBlocksForDayKeys([key]);
+    blocks.push(...dayBlocks.sort((a, b) => new Date(b.start) - new Date(a.start)));
+    if (blocks.length >= count) {
+      break;
+    }
+  }
+  return blocks.slice(0, count);
+}
+
+/**
+ * Save a time block
+ */
+async function saveTimeBlock(timeBlock) {
+  await saveTimeBlocks([timeBlock]);
+}
+
+/**
+ * Save several time blocks at once
+ */
+async function saveTimeBlocks(timeBlocks) {
+  const newDays = groupBlocksByDayKey(timeBlocks);
+  const dayKeys = Object.keys(newDays);
+  const existing = await chrome.storage.local.get(dayKeys);
+  
+  const days = {};
+  dayKeys.forEach(key => {
+    days[key] = (existing[key] || []).concat(newDays[key]);
+  });
+  await writeBlockDays(days);
+}
+
+/**
+ * Replace every stored block (used when restoring a backup)
+ */
+async function replaceAllTimeBlocks(timeBlocks) {
+  const days = {};
+  (await getBlockIndex()).forEach(key => {
+    days[key] = [];
+  });
+  Object.assign(days, groupBlocksByDayKey(timeBlocks));
+  await writeBlockDays(days);
+}
+
+/**
+ * Add a manual entry for time that was never tracked
+ * The range is split into interval-sized blocks flagged as manual.
+ * Throws an Error with a user-facing message if the range is invalid.
+ */
+async function addManualEntry({ date, startTime, endTime, labelId, note }) {
+  const day = parseDateInput(date);
+  const start = getTimeOnDate(day, startTime);
+  const end = getTimeOnDate(day, endTime);
+  if (end <= start) {
+    throw new Error('End time must be after start time.');
+  }
+  if (end > Date.now()) {
+    throw new Error('Manual entries are for time that has already passed.');
+  }
+  
+  // Blocks still waiting to be labeled are taken time too
+  const pendingBlock = findOverlappingBlock(await getPendingBlocks(), start, end);
+  if (pendingBlock) {
+    const time = new Date(pendingBlock.start).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+    throw new Error(`This range overlaps the block at ${time} that is waiting to be labeled.`);
+  }
+  
+  const blocks = await getBlocksAround(start, end);
+  const overlapping = findOverlappingBlock(blocks, start, end);
+  if (overlapping) {
+    const time = new Date(overlapping.start).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+    const labelName = getLabelName(getLabelMap(await getLabels()), overlapping.labelId);
+    throw new Error(`This range overlaps the ${labelName} block at ${time}.`);
+  }
+  
+  const interval = await getInterruptInterval();
+  const [topPriority] = await getPrioritiesForDate(day.toDateString());
+  const dailyPriority = topPriority ? topPriority.text : null;
+  const newBlocks = splitIntoBlocks(start, end, interval, { enabled: false })
+    .map(block => ({
+      ...block,
+      away: [],
+      labelId,
+      note: note || null,
+      dailyPriority,
+      priorityId: null,
+      manual: true
+    }));
+  
+  await saveTimeBlocks(newBlocks);
+  return newBlocks;
+}
+
+/**
+ * Sum the hours of blocks recorded as Unaccounted after being ignored
+ */
+function getUnaccountedHours(blocks) {
+  return blocks
+    .filter(block => block.labelId === UNACCOUNTED_LABEL_ID)
+    .reduce((sum, block) => sum + getBlockHours(block), 0);
+}
+
+/**
+ * Sum the hours of blocks that were entered manually
+ */
+function getManualHours(blocks) {
+  return blocks
+    .filter(block => block.manual)
+    .reduce((sum, block) => sum + getBlockHours(block), 0);
+}
+
+/**
+ * Find a block (other than the one at ignoreStart) overlapping a time range
+ */
+function findOverlappingBlock(blocks, start, end, ignoreStart = null) {
+  return blocks.find(block => {
+    const blockStart = new Date(block.start).getTime();
+    return blockStart !== ignoreStart &&
+      blockStart < end && new Date(block.end).getTime() > start;
+  }) || null;
+}
+
+/**
+ * Get the audit trail of edited and deleted blocks, oldest first
+ */
+async function getAuditTrail() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.AUDIT_TRAIL);
+  return result[STORAGE_KEYS.AUDIT_TRAIL] || [];
+}
+
+/**
+ * How many audit entries are kept; the oldest are dropped first
+ */
+const MAX_AUDIT_ENTRIES = 500;
+
+/**
+ * Append an entry to the audit trail
+ */
+async function recordAudit(entry) {
+  const trail = await getAuditTrail();
+  trail.push({ ...entry, editedAt: Date.now() });
+  await chrome.storage.local.set({ [STORAGE_KEYS.AUDIT_TRAIL]: trail.slice(-MAX_AUDIT_ENTRIES) });
+}
+
+/**
+ * Edit a saved block, identified by its start time
+ * The original block is kept in the audit trail.
+ * Throws an Error with a user-facing message if the change is invalid.
+ */
+async function updateTimeBlock(start, changes) {
+  const dayKey = getBlockDayKey(start);
+  const dayBlocks = await getBlocksForDayKeys([dayKey]);
+  const index = dayBlocks.findIndex(block => new Date(block.start).getTime() === start);
+  if (index === -1) {
+    throw new Error('This time block no longer exists.');
+  }
+  
+  const original = dayBlocks[index];
+  const updated = { ...original, ...changes, editedAt: Date.now() };
+  const updatedStart = new Date(updated.start).getTime();
+  const updatedEnd = new Date(updated.end).getTime();
+  if (updatedEnd <= updatedStart) {
+    throw new Error('End time must be after start time.');
+  }
+  const neighbours = await getBlocksAround(updatedStart, updatedEnd);
+  if (findOverlappingBlock(neighbours, updatedStart, updatedEnd, start)) {
+    throw new Error('This time overlaps another block.');
+  }
+  
+  // Away and paused segments outside the new range no longer belong to the block
+  updated.away = clipSegments(original.away || [], updatedStart, updatedEnd);
+  updated.paused = clipSegments(original.paused || [], updatedStart, updatedEnd);
+  
+  // A new start can move the block to another day
+  dayBlocks.splice(index, 1);
+  const updatedDayKey = getBlockDayKey(updatedStart);
+  if (updatedDayKey === dayKey) {
+    dayBlocks.splice(index, 0, updated);
+    await writeBlockDays({ [dayKey]: dayBlocks });
+  } else {
+    const otherDayBlocks = await getBlocksForDayKeys([updatedDayKey]);
+    await writeBlockDays({ [dayKey]: dayBlocks, [updatedDayKey]: otherDayBlocks.concat(updated) });
+  }
+  await recordAudit({ action: 'edit', blockStart: start, before: original, after: updated });
+}
+
+/**
+ * Delete a saved block, identified by its start time
+ * The deleted block is kept in the audit trail.
+ */
+async function deleteTimeBlock(start) {
+  const dayKey = getBlockDayKey(start);
+  const dayBlocks = await getBlocksForDayKeys([dayKey]);
+  const index = dayBlocks.findIndex(block => new Date(block.start).getTime() === start);
+  if (index === -1) {
+    throw new Error('This time block no longer exists.');
+  }
+  
+  const [original] = dayBlocks.splice(index, 1);
+  await writeBlockDays({ [dayKey]: dayBlocks });
+  await recordAudit({ action: 'delete', blockStart: start, before: original, after: null });
+}
+
+/**
+ * Get today's time blocks
+ */
+async function getTodayBlocks() {
+  return getDayBlocks(new Date());
+}
+
+/**
+ * Get the time blocks of the calendar day a date falls in
+ */
+async function getDayBlocks(date) {
+  const day = new Date(date);
+  const dayStart = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+  const nextDay = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+  return getBlocksBetween(dayStart.getTime(), nextDay.getTime());
+}
+
+/**
+ * Get the time blocks of the calendar week starting at weekStart
+ */
+async function getWeekBlocks(weekStart) {
+  return getBlocksBetween(weekStart.getTime(), shiftWeek(weekStart, 1).getTime());
+}
+
+/**
+ * Turn priorities stored as plain text into { text, labelIds }
+ * Used by the storage migration and when restoring older backups.
+ */
+function toPriorityObjects(priorities) {
+  const converted = {};
+  Object.entries(priorities).forEach(([day, priority]) => {
+    converted[day] = typeof priority === 'string' ? { text: priority, labelIds: [] } : priority;
+  });
+  return converted;
+}
+
+/**
+ * Turn single { text, labelIds } priorities into ranked lists with IDs
+ * Used by the storage migration and when restoring older backups.
+ */
+function toPriorityLists(priorities) {
+  const converted = {};
+  Object.entries(priorities).forEach(([day, priority]) => {
+    converted[day] = Array.isArray(priority) ? priority : [{ id: createId('priority'), ...priority }];
+  });
+  return converted;
+}
+
+/**
+ * Most priorities that can be declared for one day
+ */
+const MAX_PRIORITIES = 3;
+
+/**
+ * Create a priority with a stable ID for blocks to reference
+ * @param {string} text - The priority in one sentence
+ * @param {Array} labelIds - Labels whose time counts toward it
+ * @param {string|null} carriedFrom - Day it was carried forward from, if any
+ */
+function createPriority(text, labelIds, carriedFrom = null) {
+  return {
+    id: createId('priority'),
+    text,
+    labelIds,
+    status: null,
+    carriedFrom
+  };
+}
+
+/**
+ * Get the ranked priorities declared for a day (a toDateString() value)
+ * @returns {Array} Priorities, most important first; empty if none
+ */
+async function getPrioritiesForDate(day) {
+  const priorities = await getAllPriorities();
+  return priorities[day] || [];
+}
+
+/**
+ * Get today's ranked priorities
+ */
+async function getTodayPriorities() {
+  return getPrioritiesForDate(new Date().toDateString());
+}
+
+/**
+ * Set today's ranked priorities (up to MAX_PRIORITIES)
+ */
+async function setTodayPriorities(dayPriorities) {
+  const today = new Date().toDateString();
+  const priorities = await getAllPriorities();
+  priorities[today] = dayPriorities.slice(0, MAX_PRIORITIES);
+  await chrome.storage.local.set({ [STORAGE_KEYS.DAILY_PRIORITY]: priorities });
+}
+
+/**
+ * Check if priority has been set today
+ */
+async function hasPriorityToday() {
+  const priorities = await getTodayPriorities();
+  return priorities.length > 0;
+}
+
+/**
+ * Quote a day's priorities for insight messages
+ */
+function formatPriorityTexts(priorities) {
+  return priorities.map(priority => `"${priority.text}"`).join(', ');
+}
+
+/**
+ * Split block time into time on the priorities' labels and everything else
+ * @returns {Object} { priorityHours, otherHours, percent } - percent of all time on the priorities
+ */
+function getPriorityTime(blocks, priorities) {
+  const labelIds = new Set(priorities.flatMap(priority => priority.labelIds));
+  let priorityHours = 0;
+  let otherHours = 0;
+  blocks.forEach(block => {
+    if (labelIds.has(block.labelId)) {
+      priorityHours += getBlockHours(block);
+    } else {
+      otherHours += getBlockHours(block);
+    }
+  });
+  
+  const total = priorityHours + otherHours;
+  return {
+    priorityHours,
+    otherHours,
+    percent: total > 0 ? Math.round((priorityHours / total) * 100) : 0
+  };
+}
+
+/**
+ * Sum the hours of blocks attributed to each priority
+ * @returns {Object} { perPriority: [{ priority, hours }], unattributedHours }
+ */
+function getHoursPerPriority(blocks, priorities) {
+  const perPriority = priorities.map(priority => ({ priority, hours: 0 }));
+  let unattributedHours = 0;
+  blocks.forEach(block => {
+    const entry = perPriority.find(item => item.priority.id === block.priorityId);
+    if (entry) {
+      entry.hours += getBlockHours(block);
+    } else {
+      unattributedHours += getBlockHours(block);
+    }
+  });
+  return { perPriority, unattributedHours };
+}
+
+/**
+ * Get the first priority a label counts toward, if any
+ */
+function getPriorityForLabel(priorities, labelId) {
+  return priorities.find(priority => priority.labelIds.includes(labelId)) || null;
+}
+
+/**
+ * Get the one-click labels offered on the interrupt notification
+ * "Same as previous" repeats the last block's label, note and priority;
+ * the second option is the most recent other label. Archived labels are skipped.
+ * @param {Object} block - The pending block being labeled; priorities come from its day
+ * @returns {Array} Up to two { title, labelId, note, priorityId }
+ */
+async function getQuickLabelOptions(block) {
+  const labelMap = getLabelMap(await getActiveLabels());
+  const priorities = await getPrioritiesForDate(new Date(block.start).toDateString());
+  const recentBlocks = (await getRecentBlocks(20)).filter(block => labelMap[block.labelId]);
+  if (recentBlocks.length === 0) {
+    return [];
+  }
+  
+  // Only keep an attribution that still refers to one of that day's priorities
+  const [previous] = recentBlocks;
+  const previousPriority = priorities.find(priority => priority.id === previous.priorityId);
+  const options = [{
+    title: `Same as previous: ${labelMap[previous.labelId].name}`,
+    labelId: previous.labelId,
+    note: previous.note || null,
+    priorityId: previousPriority ? previousPriority.id : null
+  }];
+  
+  const other = recentBlocks.find(block => block.labelId !== previous.labelId);
+  if (other) {
+    const priority = getPriorityForLabel(priorities, other.labelId);
+    options.push({
+      title: labelMap[other.labelId].name,
+      labelId: other.labelId,
+      note: null,
+      priorityId: priority ? priority.id : null
+    });
+  }
+  return options;
+}
+
+/**
+ * How much each signal counts toward a label suggestion
+ * previous: the block right before; timeSlot: the same weekday and time in
+ * past weeks; note: recent blocks with the same note as the previous block
+ */
+const SUGGESTION_WEIGHTS = { previous: 3, timeSlot: 2, note: 2 };
+
+/**
+ * How far back suggestions look, how close a past block's time of day must
+ * be to count as the same slot, and how long a gap still counts as "previous"
+ */
+const SUGGESTION_WEEKS = 8;
+const SUGGESTION_NOTE_DAYS = 7;
+const SUGGESTION_SLOT_MS = 30 * 60 * 1000;
+const SUGGESTION_PREVIOUS_GAP_MS = 60 * 60 * 1000;
+
+/**
+ * Score labels for a block from the blocks before it
+ * Everything is computed from local history; nothing leaves the browser.
+ * @param {Object} block - The block being labeled ({ start, end })
+ * @param {Array} history - Saved blocks from before the block
+ * @param {Array} labelIds - The labels that may be suggested
+ * @returns {Array} { labelId, score } with a score above zero, best first
+ */
+function scoreLabelSuggestions(block, history, labelIds) {
+  const start = new Date(block.start).getTime();
+  const scores = {};
+  labelIds.forEach(labelId => scores[labelId] = 0);
+  
+  // Spread a signal's weight over the labels of the matching blocks
+  const addShares = (blocks, weight) => {
+    blocks.forEach(match => {
+      if (scores.hasOwnProperty(match.labelId)) {
+        scores[match.labelId] += weight / blocks.length;
+      }
+    });
+  };
+  
+  const earlier = history
+    .filter(candidate => new Date(candidate.start).getTime() < start)
+    .sort((a, b) => new Date(b.start) - new Date(a.start));
+  
+  // The previous block, if it ended shortly before this one started
+  const [previous] = earlier;
+  if (previous && start - new Date(previous.end).getTime() <= SUGGESTION_PREVIOUS_GAP_MS) {
+    addShares([previous], SUGGESTION_WEIGHTS.previous);
+  }
+  
+  // The same weekday and time of day in past weeks
+  const startDate = new Date(start);
+  const timeOfDay = start - new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate()).getTime();
+  addShares(earlier.filter(candidate => {
+    const candidateDate = new Date(candidate.start);
+    if (candidateDate.getDay() !== startDate.getDay() || candidateDate.toDateString() === startDate.toDateString()) {
+      return false;
+    }
+    const candidateTime = candidateDate.getTime() -
+      new Date(candidateDate.getFullYear(), candidateDate.getMonth(), candidateDate.getDate()).getTime();
+    return Math.abs(candidateTime - timeOfDay) <= SUGGESTION_SLOT_MS;
+  }), SUGGESTION_WEIGHTS.timeSlot);
+  
+  // Recent blocks noted the same way as the previous one
+  const previousNote = previous && previous.note ? previous.note.trim().toLowerCase() : '';
+  if (previousNote) {
+    const noteSince = start - SUGGESTION_NOTE_DAYS * DAY_MS;
+    addShares(earlier.filter(candidate =>
+      new Date(candidate.start).getTime() >= noteSince &&
+      candidate.note && candidate.note.trim().toLowerCase() === previousNote
+    ), SUGGESTION_WEIGHTS.note);
+  }
+  
+  return Object.entries(scores)
+    .filter(([, score]) => score > 0)
+    .map(([labelId, score]) => ({ labelId, score }))
+    .sort((a, b) => b.score - a.score);
 }
 
 /**
- * Get all time blocks from storage
+ * Rank the active labels for a pending block from the saved history
  */
-async function getTimeBlocks() {
-  const result = await chrome.storage.local.get(STORAGE_KEYS.TIME_BLOCKS);
-  return result[STORAGE_KEYS.TIME_BLOCKS] || [];
+async function getLabelSuggestions(block) {
+  const start = new Date(block.start).getTime();
+  const history = await getBlocksBetween(start - SUGGESTION_WEEKS * 7 * DAY_MS, start);
+  const labels = await getActiveLabels();
+  return scoreLabelSuggestions(block, history, labels.map(label => label.id));
 }
 
 /**
- * Save a time block
+ * How a priority turned out, and how much each outcome counts toward
+ * the completion rate
  */
-async function saveTimeBlock(timeBlock) {
-  const blocks = await getTimeBlocks();
-  blocks.push(timeBlock);
-  await chrome.storage.local.set({ [STORAGE_KEYS.TIME_BLOCKS]: blocks });
-}
+const PRIORITY_STATUSES = {
+  done: { name: 'Done', weight: 1 },
+  partial: { name: 'Partial', weight: 0.5 },
+  'not-done': { name: 'Not done', weight: 0 }
+};
 
 /**
- * Get today's time blocks
+ * Get every day's priorities, keyed by toDateString()
  */
-async function getTodayBlocks() {
-  const blocks = await getTimeBlocks();
-  const today = new Date().toDateString();
-  return blocks.filter(block => new Date(block.start).toDateString() === today);
+async function getAllPriorities() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.DAILY_PRIORITY);
+  return result[STORAGE_KEYS.DAILY_PRIORITY] || {};
 }
 
 /**
- * Get this week's time blocks (last 7 days)
+ * Find the most recent earlier day whose priorities haven't all been marked
+ * @returns {Object|null} { day, priorities }
  */
-async function getWeekBlocks() {
-  const blocks = await getTimeBlocks();
-  const now = new Date();
-  const weekStart = new Date(now);
-  weekStart.setDate(now.getDate() - 7); // Last 7 days
-  weekStart.setHours(0, 0, 0, 0);
+async function getUnreviewedPriorityDay() {
+  const allPriorities = await getAllPriorities();
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
   
-  return blocks.filter(block => new Date(block.start) >= weekStart);
+  const [day] = Object.keys(allPriorities)
+    .filter(candidate => new Date(candidate) < today)
+    .sort((a, b) => new Date(b) - new Date(a));
+  if (!day || allPriorities[day].every(priority => priority.status)) {
+    return null;
+  }
+  return { day, priorities: allPriorities[day] };
 }
 
 /**
- * Get today's declared priority
+ * Mark how a day's priorities turned out
+ * @param {string} day - A toDateString() value
+ * @param {Object} statuses - Map of priority ID to a PRIORITY_STATUSES key (or null)
  */
-async function getTodayPriority() {
-  const today = new Date().toDateString();
-  const result = await chrome.storage.local.get(STORAGE_KEYS.DAILY_PRIORITY);
-  const priorities = result[STORAGE_KEYS.DAILY_PRIORITY] || {};
-  return priorities[today] || null;
+async function setPriorityStatuses(day, statuses) {
+  const allPriorities = await getAllPriorities();
+  allPriorities[day] = (allPriorities[day] || []).map(priority =>
+    statuses.hasOwnProperty(priority.id) ? { ...priority, status: statuses[priority.id] } : priority
+  );
+  await chrome.storage.local.set({ [STORAGE_KEYS.DAILY_PRIORITY]: allPriorities });
 }
 
 /**
- * Set today's priority
+ * Get every day's priorities with the hours attributed to each, newest first
+ * @returns {Array} [{ day, priorities: [{ ...priority, hours }] }]
  */
-async function setTodayPriority(priority) {
-  const today = new Date().toDateString();
-  const result = await chrome.storage.local.get(STORAGE_KEYS.DAILY_PRIORITY);
-  const priorities = result[STORAGE_KEYS.DAILY_PRIORITY] || {};
-  priorities[today] = priority;
-  await chrome.storage.local.set({ [STORAGE_KEYS.DAILY_PRIORITY]: priorities });
+async function getPriorityHistory() {
+  const allPriorities = await getAllPriorities();
+  const days = Object.keys(allPriorities).sort((a, b) => new Date(b) - new Date(a));
+  const blocks = await getBlocksForDayKeys(days.map(day => getBlockDayKey(new Date(day))));
+  
+  const blocksByDay = {};
+  blocks.forEach(block => {
+    const day = new Date(block.start).toDateString();
+    if (!blocksByDay[day]) blocksByDay[day] = [];
+    blocksByDay[day].push(block);
+  });
+  
+  return days.map(day => ({
+    day,
+    priorities: getHoursPerPriority(blocksByDay[day] || [], allPriorities[day]).perPriority
+      .map(({ priority, hours }) => ({ ...priority, hours }))
+  }));
 }
 
 /**
- * Check if priority has been set today
+ * Share of reviewed priorities that were achieved (partial counts half)
+ * @returns {number|null} Percentage, or null when nothing was reviewed
  */
-async function hasPriorityToday() {
-  const priority = await getTodayPriority();
-  return priority !== null;
+function getCompletionRate(priorities) {
+  const reviewed = priorities.filter(priority => PRIORITY_STATUSES[priority.status]);
+  if (reviewed.length === 0) {
+    return null;
+  }
+  const achieved = reviewed.reduce((sum, priority) => sum + PRIORITY_STATUSES[priority.status].weight, 0);
+  return Math.round((achieved / reviewed.length) * 100);
 }
 
 /**
- * Generate daily insight comparing priority to actual time
+ * Generate the insight for a day (a toDateString() key), comparing
+ * its priorities to actual time
  */
-async function generateDailyInsight() {
-  const priority = await getTodayPriority();
-  const blocks = await getTodayBlocks();
+async function generateDailyInsight(day = new Date().toDateString()) {
+  const priorities = await getPrioritiesForDate(day);
+  const blocks = await getDayBlocks(day);
+  const when = day === new Date().toDateString() ? 'today' : 'that day';
   
-  if (!priority || blocks.length === 0) {
+  if (priorities.length === 0 || blocks.length === 0) {
     return null;
   }
   
-  // Get labels
-  const labels = await getLabels();
-  
-  // Count time by label
-  const labelCounts = {};
-  labels.forEach(label => labelCounts[label] = 0);
-  
-  blocks.forEach(block => {
-    if (!labelCounts.hasOwnProperty(block.label)) {
-      labelCounts[block.label] = 0;
-    }
-    labelCounts[block.label]++;
-  });
-  
-  // Convert to hours (each block is 15 minutes = 0.25 hours)
-  const labelHours = {};
-  Object.keys(labelCounts).forEach(label => {
-    labelHours[label] = labelCounts[label] * 0.25;
-  });
-  
-  // Find the dominant label
-  const dominantLabel = Object.keys(labelHours).reduce((a, b) => 
-    labelHours[a] > labelHours[b] ? a : b
-  );
-  
-  // Generate uncomfortable insight
-  // Check if priority text mentions any of the labels
-  const priorityLower = priority.toLowerCase();
-  const dominantLower = dominantLabel.toLowerCase();
-  
-  // Simple keyword matching for priority alignment (using default labels as reference)
-  const priorityKeywords = {
-    'work': ['work', 'task', 'project', 'complete', 'finish', 'deliver', 'code', 'build', 'create'],
-    'meetings': ['meeting', 'call', 'sync', 'discuss', 'collaborate', 'team', 'standup', 'review'],
-    'break': ['break', 'rest', 'lunch', 'pause', 'recharge', 'refresh', 'relax'],
-    'planning': ['plan', 'organize', 'review', 'strategize', 'prepare', 'schedule', 'prioritize'],
-    'other': ['other', 'misc', 'admin', 'email', 'message', 'chat']
-  };
-  
-  // Check if priority aligns with dominant label
-  const relevantKeywords = priorityKeywords[dominantLower] || [];
-  const priorityMatchesLabel = relevantKeywords.some(keyword => priorityLower.includes(keyword));
+  // Priorities from before label alignment can't be measured
+  const priorityTexts = formatPriorityTexts(priorities);
+  if (priorities.every(priority => priority.labelIds.length === 0)) {
+    return `You said ${priorityTexts} mattered most ${when}, but didn't pick which labels count toward it.`;
+  }
   
-  if (priorityMatchesLabel) {
-    // If they match, find the second most common (if significant)
-    const sorted = Object.entries(labelHours)
-      .sort((a, b) => b[1] - a[1])
-      .filter(([label]) => label !== dominantLabel && labelHours[label] > 0);
-    
-    if (sorted.length > 0 && sorted[0][1] >= 1.0) {
-      // Only show mismatch if second label has at least 1 hour
-      const [secondLabel, hours] = sorted[0];
-      return `You said "${priority}" mattered most today, but spent ${hours.toFixed(1)} hours in ${secondLabel.toLowerCase()}.`;
-    }
-    // They aligned - but still make it slightly uncomfortable
-    return `You said "${priority}" mattered most today. You spent ${labelHours[dominantLabel].toFixed(1)} hours in ${dominantLabel.toLowerCase()}.`;
-  } else {
-    // Clear mismatch - this is the uncomfortable truth
-    const hours = labelHours[dominantLabel];
-    return `You said "${priority}" mattered most today, but spent ${hours.toFixed(1)} hours in ${dominantLabel.toLowerCase()}.`;
+  const { priorityHours, otherHours, percent } = getPriorityTime(blocks, priorities);
+  const them = priorities.length > 1 ? 'them' : 'it';
+  if (priorityHours === 0) {
+    return `You said ${priorityTexts} mattered most ${when}, but spent no time on ${them}. ${otherHours.toFixed(1)} hours went to everything else.`;
   }
+  return `You said ${priorityTexts} mattered most ${when}. You spent ${priorityHours.toFixed(1)} hours on ${them} (${percent}%) and ${otherHours.toFixed(1)} hours on everything else (${100 - percent}%).`;
 }
 
 /**
- * Generate weekly insights
+ * Generate weekly insights for the calendar week starting at weekStart
  */
-async function generateWeeklyInsights() {
-  const blocks = await getWeekBlocks();
+async function generateWeeklyInsights(weekStart) {
+  const weekEnd = shiftWeek(weekStart, 1);
+  const blocks = await getWeekBlocks(weekStart);
   const priorities = await chrome.storage.local.get(STORAGE_KEYS.DAILY_PRIORITY);
   const dailyPriorities = priorities[STORAGE_KEYS.DAILY_PRIORITY] || {};
   
   // Get labels
   const labels = await getLabels();
   
-  // Count time by label for the week
-  const labelCounts = {};
-  labels.forEach(label => labelCounts[label] = 0);
-  
-  blocks.forEach(block => {
-    if (!labelCounts.hasOwnProperty(block.label)) {
-      labelCounts[block.label] = 0;
-    }
-    labelCounts[block.label]++;
-  });
-  
-  const labelHours = {};
-  Object.keys(labelCounts).forEach(label => {
-    labelHours[label] = labelCounts[label] * 0.25;
-  });
-  
-  // Find biggest mismatch
+  // Split each day with a measurable priority into priority and other time
   const dayGroups = {};
   blocks.forEach(block => {
     const day = new Date(block.start).toDateString();
@@ -204,72 +1407,43 @@ async function generateWeeklyInsights() {
     dayGroups[day].push(block);
   });
   
+  // The biggest mismatch is the day with the most time away from the priority
   let biggestMismatch = null;
-  let maxMismatchHours = 0;
+  const priorityTime = { priorityHours: 0, otherHours: 0, percent: 0 };
   
   Object.keys(dayGroups).forEach(day => {
-    const dayBlocks = dayGroups[day];
-    const dayPriority = dailyPriorities[day];
-    if (!dayPriority) return;
-    
-    const dayLabelCounts = {};
-    labels.forEach(label => dayLabelCounts[label] = 0);
-    dayBlocks.forEach(block => {
-      if (!dayLabelCounts.hasOwnProperty(block.label)) {
-        dayLabelCounts[block.label] = 0;
-      }
-      dayLabelCounts[block.label]++;
-    });
-    
-    const dayLabelHours = {};
-    Object.keys(dayLabelCounts).forEach(label => {
-      dayLabelHours[label] = dayLabelCounts[label] * 0.25;
-    });
-    
-    const dominantLabel = Object.keys(dayLabelHours).reduce((a, b) => 
-      dayLabelHours[a] > dayLabelHours[b] ? a : b
-    );
-    
-    // Check for mismatch using keyword matching
-    const priorityLower = dayPriority.toLowerCase();
-    const dominantLower = dominantLabel.toLowerCase();
-    
-    const priorityKeywords = {
-      'work': ['work', 'task', 'project', 'complete', 'finish', 'deliver', 'code', 'build', 'create'],
-      'meetings': ['meeting', 'call', 'sync', 'discuss', 'collaborate', 'team', 'standup', 'review'],
-      'break': ['break', 'rest', 'lunch', 'pause', 'recharge', 'refresh', 'relax'],
-      'planning': ['plan', 'organize', 'review', 'strategize', 'prepare', 'schedule', 'prioritize'],
-      'other': ['other', 'misc', 'admin', 'email', 'message', 'chat']
-    };
+    const dayPriorities = dailyPriorities[day] || [];
+    if (dayPriorities.every(priority => priority.labelIds.length === 0)) return;
     
-    const relevantKeywords = priorityKeywords[dominantLower] || [];
-    const priorityMatchesLabel = relevantKeywords.some(keyword => priorityLower.includes(keyword));
+    const dayTime = getPriorityTime(dayGroups[day], dayPriorities);
+    priorityTime.priorityHours += dayTime.priorityHours;
+    priorityTime.otherHours += dayTime.otherHours;
     
-    if (!priorityMatchesLabel) {
-      const hours = dayLabelHours[dominantLabel];
-      if (hours > maxMismatchHours) {
-        maxMismatchHours = hours;
-        biggestMismatch = {
-          day,
-          priority: dayPriority,
-          actual: dominantLabel,
-          hours
-        };
-      }
+    if (dayTime.otherHours > 0 && (!biggestMismatch || dayTime.otherHours > biggestMismatch.otherHours)) {
+      biggestMismatch = {
+        day,
+        priority: formatPriorityTexts(dayPriorities),
+        ...dayTime
+      };
     }
   });
   
-  // Find longest break/other streak (tracks consecutive non-work time)
-  // This helps identify when user takes extended breaks or gets distracted
+  const totalPriorityTime = priorityTime.priorityHours + priorityTime.otherHours;
+  priorityTime.percent = totalPriorityTime > 0
+    ? Math.round((priorityTime.priorityHours / totalPriorityTime) * 100)
+    : 0;
+  
+  // Find the longest run of consecutive avoidance-category time
+  // This helps identify when user gets distracted for extended stretches
   let longestStreak = 0;
   let currentStreak = 0;
   const sortedBlocks = blocks.sort((a, b) => new Date(a.start) - new Date(b.start));
-  // Track "Break" or "Other" as non-productive time, fallback to last label
-  const breakLabel = labels.includes('Break') ? 'Break' : (labels.includes('Other') ? 'Other' : labels[labels.length - 1]);
+  const labelMap = getLabelMap(labels);
   
   sortedBlocks.forEach(block => {
-    if (block.label === breakLabel) {
-      currentStreak++;
+    const label = labelMap[block.labelId];
+    if (label && label.category === 'avoidance') {
+      currentStreak += getBlockHours(block);
       longestStreak = Math.max(longestStreak, currentStreak);
     } else {
       currentStreak = 0;
@@ -285,13 +1459,158 @@ async function generateWeeklyInsights() {
   
   const suggestion = suggestions[Math.floor(Math.random() * suggestions.length)];
   
+  // Time paused this week, by reason
+  const pauseHours = getPauseHours(await getPausesBetween(weekStart.getTime(), Math.min(weekEnd.getTime(), Date.now())));
+  
   return {
+    weekStart,
+    weekEnd,
+    totalHours: blocks.reduce((sum, block) => sum + getBlockHours(block), 0),
+    labelHours: getLabelHours(blocks, labels),
     biggestMismatch,
-    longestAvoidanceStreak: longestStreak * 0.25, // Convert to hours (keeping name for compatibility)
+    priorityTime,
+    pauseHours,
+    manualHours: getManualHours(blocks),
+    unaccountedHours: getUnaccountedHours(blocks),
+    longestAvoidanceStreak: longestStreak, // Already in hours (keeping name for compatibility)
     suggestion
   };
 }
 
+/**
+ * Get midnight at the start of the week a date falls in
+ * weekStartDay is the Date.getDay() the week begins on (1 = Monday, 0 = Sunday).
+ */
+function getWeekStart(date, weekStartDay = DEFAULT_SETTINGS.weekStartDay) {
+  const weekStart = new Date(date);
+  weekStart.setHours(0, 0, 0, 0);
+  weekStart.setDate(weekStart.getDate() - ((weekStart.getDay() - weekStartDay + 7) % 7));
+  return weekStart;
+}
+
+/**
+ * Get the start of the week a number of weeks before or after weekStart
+ * Built from the calendar date so a DST change never shifts the boundary.
+ */
+function shiftWeek(weekStart, weeks) {
+  return new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + weeks * 7);
+}
+
+/**
+ * Get the calendar month or quarter a date falls in as { start, end }
+ * end is midnight after the last day, so ranges never overlap.
+ */
+function getPeriodRange(period, date) {
+  const d = new Date(date);
+  const months = period === 'quarter' ? 3 : 1;
+  const firstMonth = d.getMonth() - (d.getMonth() % months);
+  return {
+    start: new Date(d.getFullYear(), firstMonth, 1),
+    end: new Date(d.getFullYear(), firstMonth + months, 1)
+  };
+}
+
+/**
+ * Get the range covering two inclusive date input values
+ */
+function getCustomRange(fromValue, toValue) {
+  const start = parseDateInput(fromValue);
+  const end = parseDateInput(toValue);
+  end.setDate(end.getDate() + 1);
+  return { start, end };
+}
+
+/**
+ * Count the calendar days in a range
+ * Rounded so a DST change inside the range doesn't matter.
+ */
+function getRangeDays(range) {
+  return Math.round((range.end - range.start) / DAY_MS);
+}
+
+/**
+ * Get the range of equal length directly before (-1) or after (1) a range
+ */
+function shiftRange(range, direction) {
+  const days = getRangeDays(range) * direction;
+  return {
+    start: new Date(range.start.getFullYear(), range.start.getMonth(), range.start.getDate() + days),
+    end: new Date(range.end.getFullYear(), range.end.getMonth(), range.end.getDate() + days)
+  };
+}
+
+/**
+ * Step a report range to the previous (-1) or next (1) period
+ * Months and quarters stay on calendar boundaries; custom ranges keep their length.
+ */
+function shiftReportRange(period, range, direction) {
+  if (period === 'custom') {
+    return shiftRange(range, direction);
+  }
+  const months = period === 'quarter' ? 3 : 1;
+  return getPeriodRange(period, new Date(range.start.getFullYear(), range.start.getMonth() + months * direction, 1));
+}
+
+/**
+ * Name a report range: "March 2026", "Q1 2026", or for a custom range
+ * its number of days
+ */
+function getReportRangeName(period, range) {
+  if (period === 'month') {
+    return range.start.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  }
+  if (period === 'quarter') {
+    return `Q${Math.floor(range.start.getMonth() / 3) + 1} ${range.start.getFullYear()}`;
+  }
+  const days = getRangeDays(range);
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * Compare per-label hours between two periods
+ * Sorted from the label that grew most to the one that shrank most.
+ * percentChange is null when the label had no time before.
+ */
+function compareLabelHours(currentHours, previousHours) {
+  const names = [...new Set([...Object.keys(currentHours), ...Object.keys(previousHours)])];
+  
+  return names
+    .map(name => {
+      const hours = currentHours[name] || 0;
+      const before = previousHours[name] || 0;
+      return {
+        name,
+        hours,
+        previousHours: before,
+        change: hours - before,
+        percentChange: before > 0 ? Math.round(((hours - before) / before) * 100) : null
+      };
+    })
+    .filter(entry => entry.hours > 0 || entry.previousHours > 0)
+    .sort((a, b) => b.change - a.change);
+}
+
+/**
+ * Build a report of per-label hours for a range, compared with the period
+ * before it: the previous calendar month or quarter, or for a custom range
+ * the days of equal length right before it
+ */
+async function generateReport(range, period = 'custom') {
+  const previousRange = shiftReportRange(period, range, -1);
+  const labels = await getLabels();
+  const blocks = await getBlocksBetween(range.start.getTime(), range.end.getTime());
+  const previousBlocks = await getBlocksBetween(previousRange.start.getTime(), previousRange.end.getTime());
+  const sumHours = list => list.reduce((sum, block) => sum + getBlockHours(block), 0);
+  
+  return {
+    range,
+    previousRange,
+    totalHours: sumHours(blocks),
+    previousTotalHours: sumHours(previousBlocks),
+    labels: compareLabelHours(getLabelHours(blocks, labels), getLabelHours(previousBlocks, labels))
+  };
+}
+
 /**
  * Format date for display
  */
@@ -304,3 +1623,424 @@ function formatDate(date) {
   });
 }
 
+/**
+ * Parse a date input value ("YYYY-MM-DD") as local midnight
+ */
+function parseDateInput(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Format a date as a date input value ("YYYY-MM-DD") in local time
+ */
+function toDateInputValue(date) {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get the blocks in an inclusive date range of date input values
+ * Either end may be empty to leave that side open. Only the days in
+ * range are read, since day keys sort by date.
+ */
+async function getBlocksInDateRange(fromValue, toValue) {
+  const dayKeys = (await getBlockIndex()).filter(key =>
+    (!fromValue || key >= BLOCK_DAY_PREFIX + fromValue) && (!toValue || key <= BLOCK_DAY_PREFIX + toValue)
+  );
+  return getBlocksForDayKeys(dayKeys);
+}
+
+/**
+ * Columns written by the CSV and JSON exports, in order
+ */
+const EXPORT_COLUMNS = ['start', 'end', 'durationMinutes', 'label', 'note', 'dailyPriority'];
+
+/**
+ * Flatten a block into an export row
+ * @param {Object} labelMap - Labels by ID, from getLabelMap
+ */
+function toExportRow(block, labelMap) {
+  return {
+    start: new Date(block.start).toISOString(),
+    end: new Date(block.end).toISOString(),
+    durationMinutes: Math.round(getBlockHours(block) * 60),
+    label: getLabelName(labelMap, block.labelId),
+    note: block.note || '',
+    dailyPriority: block.dailyPriority || ''
+  };
+}
+
+/**
+ * Quote a CSV value when needed
+ * Values that a spreadsheet would run as a formula are prefixed with a quote,
+ * including ones where leading whitespace hides the formula character
+ */
+function escapeCsvValue(value) {
+  let text = String(value);
+  if (/^(\s*[=+\-@]|[\t\r])/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\n\r]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Export blocks as CSV, oldest first
+ */
+function blocksToCsv(blocks, labels) {
+  const labelMap = getLabelMap(labels);
+  const rows = [...blocks]
+    .sort((a, b) => new Date(a.start) - new Date(b.start))
+    .map(block => {
+      const row = toExportRow(block, labelMap);
+      return EXPORT_COLUMNS.map(column => escapeCsvValue(row[column])).join(',');
+    });
+  return [EXPORT_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * Export blocks as JSON, oldest first
+ */
+function blocksToJson(blocks, labels) {
+  const labelMap = getLabelMap(labels);
+  const rows = [...blocks]
+    .sort((a, b) => new Date(a.start) - new Date(b.start))
+    .map(block => toExportRow(block, labelMap));
+  return JSON.stringify(rows, null, 2);
+}
+
+/**
+ * Blocks with the same label closer than this are one calendar event
+ */
+const ICS_MERGE_GAP = 5 * 60 * 1000;
+
+/**
+ * Format a timestamp as an iCalendar UTC date-time
+ */
+function toIcsDate(timestamp) {
+  return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape iCalendar TEXT values (RFC 5545 3.3.11)
+ */
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets (RFC 5545 3.1)
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    // Continuation lines start with a space, leaving 74 octets of content
+    const limit = parts.length === 0 ? 75 : 74;
+    if (encoder.encode(current + char).length > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Export blocks as an iCalendar file
+ * Consecutive blocks with the same label become one event,
+ * with the label as summary and the notes as description.
+ */
+function blocksToIcs(blocks, labels) {
+  const labelMap = getLabelMap(labels);
+  const events = [];
+  [...blocks]
+    .sort((a, b) => new Date(a.start) - new Date(b.start))
+    .forEach(block => {
+      const start = new Date(block.start).getTime();
+      const end = new Date(block.end).getTime();
+      const previous = events[events.length - 1];
+      if (previous && previous.labelId === block.labelId && start - previous.end <= ICS_MERGE_GAP) {
+        previous.end = Math.max(previous.end, end);
+        if (block.note && !previous.notes.includes(block.note)) {
+          previous.notes.push(block.note);
+        }
+        return;
+      }
+      events.push({ start, end, labelId: block.labelId, notes: block.note ? [block.note] : [] });
+    });
+  
+  const stamp = toIcsDate(Date.now());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//15 Minute Time Tracker//EN',
+    'CALSCALE:GREGORIAN'
+  ];
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.start}-${event.end}@15-minute-time-tracker`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${toIcsDate(event.start)}`,
+      `DTEND:${toIcsDate(event.end)}`,
+      `SUMMARY:${escapeIcsText(getLabelName(labelMap, event.labelId))}`
+    );
+    if (event.notes.length > 0) {
+      lines.push(`DESCRIPTION:${escapeIcsText(event.notes.join('\n'))}`);
+    }
+    lines.push('TRANSP:OPAQUE', 'END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Collect everything worth keeping into a backup object
+ */
+async function createBackup() {
+  const result = await chrome.storage.local.get([
+    STORAGE_KEYS.DAILY_PRIORITY,
+    STORAGE_KEYS.AUDIT_TRAIL
+  ]);
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    timeBlocks: await getTimeBlocks(),
+    dailyPriority: result[STORAGE_KEYS.DAILY_PRIORITY] || {},
+    labels: await getLabels(),
+    settings: await getSettings(),
+    pauses: await getPauses(),
+    auditTrail: result[STORAGE_KEYS.AUDIT_TRAIL] || []
+  };
+}
+
+/**
+ * Check that parsed JSON looks like a backup this version can read
+ * Throws an Error with a user-facing message otherwise
+ */
+function validateBackup(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('This file is not a time tracker backup.');
+  }
+  if (typeof data.schemaVersion !== 'number') {
+    throw new Error('This file has no schema version. Is it a CSV/JSON export instead of a backup?');
+  }
+  if (data.schemaVersion > SCHEMA_VERSION) {
+    throw new Error('This backup was made by a newer version of the extension. Update before restoring it.');
+  }
+  if (!Array.isArray(data.timeBlocks)) {
+    throw new Error('This backup has no time blocks.');
+  }
+  // Before version 3, blocks stored the label name instead of an ID
+  const labelField = data.schemaVersion < 3 ? 'label' : 'labelId';
+  const invalid = data.timeBlocks.find(block =>
+    !block || isNaN(new Date(block.start)) || isNaN(new Date(block.end)) || typeof block[labelField] !== 'string'
+  );
+  if (invalid) {
+    throw new Error('This backup contains a time block without a valid start, end or label.');
+  }
+}
+
+/**
+ * Bring a validated backup from an older schema version up to date
+ * Mirrors the storage migrations for the parts a backup contains.
+ */
+function upgradeBackup(data) {
+  let upgraded = { ...data };
+  
+  if (upgraded.schemaVersion < 3) {
+    const labels = createLabelsFromNames(upgraded.customLabels || DEFAULT_LABELS);
+    upgraded.timeBlocks = upgraded.timeBlocks.map(block => attachLabelId(block, labels));
+    upgraded.auditTrail = (upgraded.auditTrail || []).map(entry => ({
+      ...entry,
+      before: attachLabelId(entry.before, labels),
+      after: attachLabelId(entry.after, labels)
+    }));
+    upgraded.labels = labels;
+    delete upgraded.customLabels;
+  }
+  
+  if (upgraded.schemaVersion < 4) {
+    upgraded.labels = upgraded.labels.map(withCategory);
+  }
+  
+  if (upgraded.schemaVersion < 5) {
+    upgraded.dailyPriority = toPriorityObjects(upgraded.dailyPriority || {});
+  }
+  
+  if (upgraded.schemaVersion < 6) {
+    upgraded.dailyPriority = toPriorityLists(upgraded.dailyPriority);
+  }
+  
+  upgraded.schemaVersion = SCHEMA_VERSION;
+  return upgraded;
+}
+
+/**
+ * Check whether a stored value is empty enough to be filled in by a merge
+ */
+function isEmptyValue(value) {
+  return value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Work out the result of restoring a backup without writing anything
+ * Blocks conflict when they share a start time. Modes:
+ * - merge: keep existing values, fill empty fields from the backup
+ * - skip: keep existing values, ignore the backup's version
+ * - overwrite: the backup's version wins (settings included)
+ * Returns the data to store and a summary for the preview.
+ */
+function planImport(backup, current, mode) {
+  const summary = {
+    added: 0,
+    conflicts: 0,
+    changed: 0,
+    prioritiesAdded: 0,
+    prioritiesReplaced: 0,
+    labelsAdded: [],
+    pausesAdded: 0,
+    settingsReplaced: false
+  };
+  
+  // Labels are always combined so no block loses its label. A backup label
+  // with the ID or name of an existing one is treated as that label.
+  const labels = [...current.labels];
+  const labelIds = {};
+  (backup.labels || []).forEach(label => {
+    const existing = labels.find(candidate => candidate.id === label.id) ||
+      labels.find(candidate => candidate.name === label.name);
+    if (existing) {
+      labelIds[label.id] = existing.id;
+      return;
+    }
+    labels.push(label);
+    labelIds[label.id] = label.id;
+    summary.labelsAdded.push(label.name);
+  });
+  const withLabelId = block => (block && labelIds[block.labelId])
+    ? { ...block, labelId: labelIds[block.labelId] }
+    : block;
+  
+  // Blocks, keyed by start time. A backup block conflicts with any block
+  // whose range it overlaps, not only one with the same start.
+  const blocksByStart = new Map();
+  current.timeBlocks.forEach(block => blocksByStart.set(new Date(block.start).getTime(), block));
+  backup.timeBlocks.map(withLabelId).forEach(block => {
+    const start = new Date(block.start).getTime();
+    const end = new Date(block.end).getTime();
+    const existing = blocksByStart.get(start);
+    const overlapping = existing
+      ? [existing]
+      : [...blocksByStart.values()].filter(candidate => findOverlappingBlock([candidate], start, end));
+    if (overlapping.length === 0) {
+      blocksByStart.set(start, block);
+      summary.added++;
+      return;
+    }
+    
+    summary.conflicts++;
+    if (mode === 'overwrite') {
+      overlapping.forEach(candidate => blocksByStart.delete(new Date(candidate.start).getTime()));
+      blocksByStart.set(start, block);
+      summary.changed++;
+    } else if (mode === 'merge' && existing) {
+      // Only a block with the same start can be merged; other overlaps keep the current block
+      const merged = { ...existing };
+      Object.keys(block).forEach(key => {
+        if (isEmptyValue(merged[key]) && !isEmptyValue(block[key])) {
+          merged[key] = block[key];
+        }
+      });
+      if (JSON.stringify(merged) !== JSON.stringify(existing)) {
+        blocksByStart.set(start, merged);
+        summary.changed++;
+      }
+    }
+  });
+  
+  // Priorities, keyed by day
+  const dailyPriority = { ...current.dailyPriority };
+  Object.entries(backup.dailyPriority || {}).forEach(([day, backupPriorities]) => {
+    const priority = backupPriorities.map(backupPriority => ({
+      ...backupPriority,
+      labelIds: backupPriority.labelIds.map(labelId => labelIds[labelId] || labelId)
+    }));
+    if (!dailyPriority[day]) {
+      dailyPriority[day] = priority;
+      summary.prioritiesAdded++;
+    } else if (mode === 'overwrite' && JSON.stringify(dailyPriority[day]) !== JSON.stringify(priority)) {
+      dailyPriority[day] = priority;
+      summary.prioritiesReplaced++;
+    }
+  });
+  
+  // Pauses, keyed by start time
+  const pauseStarts = new Set(current.pauses.map(pause => pause.start));
+  const pauses = [...current.pauses];
+  (backup.pauses || []).forEach(pause => {
+    if (!pauseStarts.has(pause.start)) {
+      pauses.push(pause);
+      pauseStarts.add(pause.start);
+      summary.pausesAdded++;
+    }
+  });
+  
+  // Audit entries are history - always kept from both sides
+  const auditKeys = new Set(current.auditTrail.map(entry => `${entry.editedAt}-${entry.blockStart}`));
+  const auditTrail = [...current.auditTrail];
+  (backup.auditTrail || []).forEach(entry => {
+    if (!auditKeys.has(`${entry.editedAt}-${entry.blockStart}`)) {
+      auditTrail.push({ ...entry, before: withLabelId(entry.before), after: withLabelId(entry.after) });
+    }
+  });
+  auditTrail.sort((a, b) => a.editedAt - b.editedAt);
+  auditTrail.splice(0, auditTrail.length - MAX_AUDIT_ENTRIES);
+  
+  let settings = current.settings;
+  if (mode === 'overwrite' && backup.settings) {
+    settings = { ...structuredClone(DEFAULT_SETTINGS), ...backup.settings };
+    summary.settingsReplaced = JSON.stringify(settings) !== JSON.stringify(current.settings);
+  }
+  
+  return {
+    data: {
+      timeBlocks: [...blocksByStart.values()].sort((a, b) => new Date(a.start) - new Date(b.start)),
+      dailyPriority,
+      labels,
+      settings,
+      pauses,
+      auditTrail
+    },
+    summary
+  };
+}
+
+/**
+ * Write a planned import to storage
+ */
+async function applyImport(plan) {
+  await replaceAllTimeBlocks(plan.data.timeBlocks);
+  await replaceAllPauses(plan.data.pauses);
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.DAILY_PRIORITY]: plan.data.dailyPriority,
+    [STORAGE_KEYS.LABELS]: plan.data.labels,
+    [STORAGE_KEYS.SETTINGS]: plan.data.settings,
+    [STORAGE_KEYS.AUDIT_TRAIL]: plan.data.auditTrail
+  });
+}